@@ -6,23 +6,106 @@
 // Licensed under the MIT License.
 
 import { promises as fs, readFileSync } from 'fs';
-import { join } from 'path';
-import { spawn, execSync } from 'child_process';
-import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { execSync } from 'child_process';
+import { tmpdir, userInfo } from 'os';
+import { createGzip } from 'zlib';
+import { pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+import { createHash } from 'crypto';
 import { createReadStream, createWriteStream } from 'fs';
 import { request } from 'http';
 import { request as httpsRequest } from 'https';
+import { connect as tlsConnect } from 'tls';
+import { isIP } from 'net';
+
+// stream/promises needs Node 15
+const pipeline = promisify(pipelineCallback);
 
 const CONFIG_FILE = '.env';
+const FILE_MANIFEST = '.nlever-files.json';
 let config = {};
 
-function loadConfig() {
+const FLAG_ALIASES = { f: 'follow', n: 'lines' };
+
+// How PM2 runs the app, sent with every push. They override the "nlever" section of
+// package.json; the server validates them.
+const PROCESS_OPTIONS = {
+  NLEVER_KILL_TIMEOUT: 'kill_timeout',
+  NLEVER_WAIT_READY: 'wait_ready',
+  NLEVER_LISTEN_TIMEOUT: 'listen_timeout',
+  NLEVER_INSTANCES: 'instances',
+  NLEVER_MAX_MEMORY_RESTART: 'max_memory_restart',
+  NLEVER_NODE_ARGS: 'node_args',
+  NLEVER_INTERPRETER: 'interpreter',
+  NLEVER_CRON_RESTART: 'cron_restart'
+};
+
+// Every setting a target can override, to keep target names from shadowing them
+const SETTINGS = [
+  'NLEVER_NAME', 'NLEVER_HOST', 'NLEVER_HOSTS', 'NLEVER_AUTH', 'NLEVER_HEALTH_CHECK',
+  'NLEVER_EXCLUSIONS', 'NLEVER_GITIGNORE', 'NLEVER_KEEP_RELEASES', 'NLEVER_BUILD',
+  'NLEVER_HOSTNAMES', 'NLEVER_PORT', 'NLEVER_PARALLEL', 'NLEVER_ROLLBACK_ON_FAILURE',
+  'NLEVER_TARGET', 'NLEVER_ENV_FILE', 'NLEVER_CA', 'NLEVER_TLS_FINGERPRINT',
+  ...Object.keys(PROCESS_OPTIONS)
+];
+
+// Split the arguments after the command into positionals and flags. A flag takes the
+// next argument as its value unless it is listed in `booleanFlags` or the next
+// argument is itself a flag (`--anything`, or a short alias like `-f`), so values
+// such as `-1` or `-error` still work; `--flag=value` always does.
+function parseArgs(booleanFlags = []) {
+  const positional = [];
+  const flags = {};
+  const args = process.argv.slice(3);
+  
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--?([a-zA-Z][\w-]*)(?:=(.*))?$/.exec(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+      continue;
+    }
+    
+    const name = FLAG_ALIASES[match[1]] || match[1];
+    if (match[2] !== undefined) {
+      flags[name] = match[2];
+    } else if (booleanFlags.includes(name) || i + 1 >= args.length || isFlag(args[i + 1])) {
+      flags[name] = true;
+    } else {
+      flags[name] = args[++i];
+    }
+  }
+  
+  return { positional, flags };
+}
+
+function isFlag(arg) {
+  const match = /^-([a-zA-Z])(?:=.*)?$/.exec(arg);
+  return arg.startsWith('--') || Boolean(match && FLAG_ALIASES[match[1]]);
+}
+
+function targetPrefix(target) {
+  return `NLEVER_${target.toUpperCase().replace(/-/g, '_')}_`;
+}
+
+/*
+Load .env, then apply the deploy target, if any.
+
+A target is a set of NLEVER_<TARGET>_* variables that override the plain NLEVER_*
+ones for that push: with `--target staging`, NLEVER_STAGING_HOST replaces
+NLEVER_HOST, NLEVER_STAGING_AUTH replaces NLEVER_AUTH, and so on for every setting.
+Anything a target doesn't set falls through to the shared value.
+*/
+function loadConfig(target) {
   try {
     const envContent = readFileSync(CONFIG_FILE, 'utf8');
     envContent.split('\n').forEach(line => {
-      const [key, value] = line.split('=');
+      const separator = line.indexOf('=');
+      if (separator === -1 || line.trim().startsWith('#')) return;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
       if (key && value) {
-        config[key.trim()] = value.trim();
+        config[key] = value;
       }
     });
   } catch {
@@ -34,93 +117,529 @@ function loadConfig() {
     process.exit(1);
   }
 
-  if (!config.NLEVER_NAME || !config.NLEVER_HOST) {
-    console.error('Missing required config: NLEVER_NAME and NLEVER_HOST');
+  target = target || config.NLEVER_TARGET;
+  if (target) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(target)) {
+      console.error(`Invalid target name: ${target}`);
+      process.exit(1);
+    }
+    
+    const prefix = targetPrefix(target);
+    // With a target named "health", NLEVER_HEALTH_CHECK would read as its CHECK setting
+    const shadowed = SETTINGS.find(key => key.startsWith(prefix));
+    if (shadowed) {
+      console.error(`Target name "${target}" can't be used: ${shadowed} would be read as one of its settings`);
+      process.exit(1);
+    }
+    
+    const overrides = Object.keys(config).filter(key => key.startsWith(prefix));
+    if (overrides.length === 0) {
+      console.error(`Unknown target "${target}". Define it in ${CONFIG_FILE}, e.g.:`);
+      console.error(`${prefix}HOST=server.lan:8081`);
+      process.exit(1);
+    }
+    
+    // A target's host or host group replaces both shared settings
+    if (overrides.includes(`${prefix}HOST`) || overrides.includes(`${prefix}HOSTS`)) {
+      delete config.NLEVER_HOST;
+      delete config.NLEVER_HOSTS;
+    }
+    overrides.forEach(key => {
+      config[`NLEVER_${key.slice(prefix.length)}`] = config[key];
+    });
+    config.NLEVER_TARGET = target;
+  }
+
+  if (!config.NLEVER_NAME || !(config.NLEVER_HOST || config.NLEVER_HOSTS)) {
+    console.error(`Missing required config: NLEVER_NAME and NLEVER_HOST (or NLEVER_HOSTS)${target ? ` (target ${target})` : ''}`);
     process.exit(1);
   }
+  config.NLEVER_HOST = config.NLEVER_HOST || getHosts()[0];
 }
 
-async function createArchive() {
-  const timestamp = Date.now();
-  const archivePath = join(tmpdir(), `nlever-${config.NLEVER_NAME}-${timestamp}.tar.gz`);
-  
-  console.log('Creating deployment archive...');
+// The servers a command talks to: the NLEVER_HOSTS group, or just NLEVER_HOST
+function getHosts() {
+  return (config.NLEVER_HOSTS || config.NLEVER_HOST).split(',').map(host => host.trim()).filter(Boolean);
+}
+
+// The file shipped as .env: NLEVER_ENV_FILE if set, else .env.nlever.<target> when
+// pushing to a target that has one, else .env.nlever. Null when none exists.
+async function findDeployEnvFile() {
+  const candidates = [];
+  if (config.NLEVER_ENV_FILE) {
+    candidates.push(config.NLEVER_ENV_FILE);
+  } else {
+    if (config.NLEVER_TARGET) candidates.push(`.env.nlever.${config.NLEVER_TARGET}`);
+    candidates.push('.env.nlever');
+  }
   
-  // Check if .env.nlever exists first to adjust exclusions
-  let hasEnvNlever = false;
-  try {
-    await fs.access('.env.nlever');
-    hasEnvNlever = true;
-  } catch {
-    // .env.nlever doesn't exist
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {}
   }
   
+  if (config.NLEVER_ENV_FILE) {
+    throw new Error(`NLEVER_ENV_FILE ${config.NLEVER_ENV_FILE} not found`);
+  }
+  return null;
+}
+
+const IGNORE_FILE = '.nleverignore';
+
+async function getExclusions(envFile) {
   // Default exclusions
   let exclusions = ['.git', 'node_modules', '*.log'];
   
-  // Add .env exclusions based on what files exist
-  if (hasEnvNlever) {
-    exclusions.push('.env'); // Exclude development .env, but allow .env.nlever
-  } else {
-    exclusions.push('.env*'); // Exclude all .env files when no .env.nlever
-  }
-  
   // Use custom exclusions if specified
   if (config.NLEVER_EXCLUSIONS) {
-    exclusions = config.NLEVER_EXCLUSIONS.split(',').map(s => s.trim());
+    // A leading ./ used to mean the project root, which is a leading / in gitignore terms
+    exclusions = config.NLEVER_EXCLUSIONS.split(',').map(s => s.trim().replace(/^\.\//, '/'));
     console.log('Using custom exclusions:', exclusions.join(', '));
   }
   
-  const tarArgs = [];
-  exclusions.forEach(pattern => {
-    tarArgs.push(`--exclude=${pattern}`);
-  });
+  // Add .env exclusions based on what files exist, whatever the exclusions above say
+  if (envFile) {
+    exclusions.push('.env'); // Exclude development .env, but allow the deployment env file
+    // ...and the env files of every other target
+    const otherEnvFiles = (await fs.readdir('.')).filter(name => name.startsWith('.env.nlever') && name !== envFile);
+    exclusions.push(...otherEnvFiles.map(name => `/${name}`));
+  } else {
+    exclusions.push('.env*'); // Exclude all .env files when there is no deployment env file
+  }
+  
+  return exclusions;
+}
+
+/*
+One line of a gitignore-style file, compiled to a rule. Supports everything git
+does: comments, `!` negation, a trailing `/` for directories only, patterns with a
+slash anchored to the file's own directory (`base`), `*`, `?`, `[...]` and `**`.
+*/
+function compileIgnoreRule(line, base = '') {
+  let pattern = line.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
   
-  // If .env.nlever exists, rename it to .env in the archive
-  if (hasEnvNlever) {
-    tarArgs.push('--transform', 's/.env.nlever$/.env/');
-    console.log('Using .env.nlever as .env in deployment (excluding any existing .env)');
+  let negate = false;
+  if (pattern.startsWith('!')) {
+    negate = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
   }
   
-  tarArgs.push('-czf', archivePath, '.');
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) pattern = pattern.slice(0, -1);
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) pattern = pattern.slice(1);
+  if (!pattern) return null;
   
-  return new Promise((resolve, reject) => {
-    const tar = spawn('tar', tarArgs, { stdio: 'inherit' });
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*' && (i === 0 || pattern[i - 1] === '/') && (i + 2 === pattern.length || pattern[i + 2] === '/')) {
+      // `**/` is any number of directories, a final `/**` everything inside
+      source += i + 2 === pattern.length ? '.*' : '(?:.*/)?';
+      i += 2;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      const inner = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${inner}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  
+  const prefix = base.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  return {
+    regex: new RegExp(anchored ? `^${prefix}${source}$` : `^${prefix}(?:.*/)?${source}$`),
+    negate,
+    dirOnly
+  };
+}
+
+async function readIgnoreFile(file, base = '') {
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    return content.split(/\r?\n/).map(line => compileIgnoreRule(line, base)).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// The last rule that matches decides, like in git
+function isIgnored(path, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(path)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+async function describeFile(source, path) {
+  const stat = await fs.stat(source);
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(source)) {
+    hash.update(chunk);
+  }
+  return { path, source, hash: hash.digest('hex'), size: stat.size, mode: stat.mode & 0o777, mtime: stat.mtimeMs };
+}
+
+/*
+Everything that goes into the release: regular files with their content hash, which
+the server may already have, and symlinks and empty directories, which are always
+uploaded. The deployment env file is listed under the name it gets on the server.
+*/
+async function collectFiles() {
+  // Find the deployment env file first to adjust exclusions
+  const envFile = await findDeployEnvFile();
+  const envPath = envFile && envFile.replace(/^\.\//, '');
+  
+  // Later rules win: the defaults (or NLEVER_EXCLUSIONS), then the project's
+  // .gitignore files if asked for, then .nleverignore
+  const defaultRules = (await getExclusions(envFile)).map(pattern => compileIgnoreRule(pattern)).filter(Boolean);
+  const useGitignore = config.NLEVER_GITIGNORE === 'yes';
+  const nleverRules = await readIgnoreFile(IGNORE_FILE);
+  const files = [];
+  const extras = [];
+  
+  async function walk(dir, gitRules) {
+    const entries = await fs.readdir(dir || '.', { withFileTypes: true });
+    if (dir && entries.length === 0) extras.push(dir);
     
-    tar.on('close', code => {
-      if (code === 0) {
-        resolve(archivePath);
-      } else {
-        reject(new Error(`tar failed with code ${code}`));
+    if (useGitignore) {
+      gitRules = gitRules.concat(await readIgnoreFile(join(dir || '.', '.gitignore'), dir ? `${dir}/` : ''));
+    }
+    const rules = [...defaultRules, ...gitRules, ...nleverRules];
+    
+    for (const entry of entries) {
+      const path = dir ? `${dir}/${entry.name}` : entry.name;
+      if (path === envPath || (envFile && path === '.env')) continue;
+      // Other targets' env files never ship, even if an ignore file brings them back
+      if (path.startsWith('.env.nlever')) continue;
+      // Like git, nothing inside an ignored directory can be brought back
+      if (isIgnored(path, entry.isDirectory(), rules)) continue;
+      
+      if (entry.isDirectory()) {
+        await walk(path, gitRules);
+      } else if (entry.isSymbolicLink()) {
+        extras.push(path);
+      } else if (entry.isFile()) {
+        files.push(await describeFile(path, path));
       }
-    });
+    }
+  }
+  await walk('', []);
+  
+  if (envFile) {
+    files.push(await describeFile(envFile, '.env'));
+    console.log(`Using ${envFile} as .env in deployment (excluding any existing .env)`);
+  }
+  
+  return { files, extras };
+}
+
+/*
+A tar writer, so pushing doesn't depend on the system tar (or on GNU tar, for
+renaming the env file). Plain ustar, with a pax header in front of any entry whose
+name or link target doesn't fit.
+*/
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  // The length counts its own digits
+  let length = bodyLength + String(bodyLength).length;
+  length = bodyLength + String(length).length;
+  return `${length}${body}`;
+}
+
+function tarHeader({ name, mode, size = 0, mtime, type, linkname = '' }) {
+  const octal = (value, width) => value.toString(8).padStart(width, '0') + '\0';
+  const block = Buffer.alloc(512);
+  block.write(name, 0, 100);
+  block.write(octal(mode, 7), 100);
+  block.write(octal(0, 7), 108);
+  block.write(octal(0, 7), 116);
+  block.write(octal(size, 11), 124);
+  block.write(octal(Math.floor(mtime / 1000), 11), 136);
+  block.write('        ', 148);
+  block.write(type, 156);
+  block.write(linkname, 157, 100);
+  block.write('ustar\0' + '00', 257);
+  
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  block.write(octal(sum, 6) + ' ', 148);
+  return block;
+}
+
+function padding(size) {
+  return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+async function* tarEntries(entries) {
+  for (const entry of entries) {
+    let pax = '';
+    if (Buffer.byteLength(entry.name) > 100) pax += paxRecord('path', entry.name);
+    if (Buffer.byteLength(entry.linkname || '') > 100) pax += paxRecord('linkpath', entry.linkname);
+    if (pax) {
+      const data = Buffer.from(pax);
+      yield tarHeader({ name: 'PaxHeader', mode: 0o644, size: data.length, mtime: entry.mtime, type: 'x' });
+      yield data;
+      yield padding(data.length);
+    }
     
-    tar.on('error', reject);
+    yield tarHeader(entry);
+    if (entry.data) {
+      yield entry.data;
+    } else if (entry.source) {
+      let written = 0;
+      for await (const chunk of createReadStream(entry.source)) {
+        written += chunk.length;
+        yield chunk;
+      }
+      if (written !== entry.size) {
+        throw new Error(`${entry.source} changed while it was being archived`);
+      }
+    }
+    yield padding(entry.size || 0);
+  }
+  yield Buffer.alloc(1024);
+}
+
+/*
+Archive the given files, plus the manifest of the whole release so the server can
+fill in whatever was left out. The archive lives in its own temp directory, see
+removeArchive().
+*/
+async function createArchive(files, extras, manifest) {
+  const dir = await fs.mkdtemp(join(tmpdir(), `nlever-${config.NLEVER_NAME}-`));
+  const archivePath = join(dir, 'release.tar.gz');
+  const now = Date.now();
+  
+  const entries = files.map(file => ({
+    name: file.path, source: file.source, mode: file.mode, size: file.size, mtime: file.mtime, type: '0'
+  }));
+  for (const path of extras) {
+    const stat = await fs.lstat(path);
+    if (stat.isSymbolicLink()) {
+      entries.push({ name: path, mode: 0o777, mtime: stat.mtimeMs, type: '2', linkname: await fs.readlink(path) });
+    } else {
+      entries.push({ name: `${path}/`, mode: stat.mode & 0o777, mtime: stat.mtimeMs, type: '5' });
+    }
+  }
+  const data = Buffer.from(JSON.stringify(manifest));
+  entries.push({ name: FILE_MANIFEST, data, mode: 0o644, size: data.length, mtime: now, type: '0' });
+  
+  await pipeline(tarEntries(entries), createGzip(), createWriteStream(archivePath));
+  return archivePath;
+}
+
+async function removeArchive(archivePath) {
+  await fs.rm(dirname(archivePath), { recursive: true, force: true });
+}
+
+// The hashes of `manifest` the server already has, or null when it can't do deltas
+async function getServerHashes(manifest, host, out) {
+  const { statusCode, body } = await httpRequest('POST', `/manifest/${config.NLEVER_NAME}`, {
+    json: manifest,
+    host,
+    skipConnectionLog: Boolean(host),
+    onError: errorMsg => out.error(`✗ Request failed: ${errorMsg}`)
   });
+  if (statusCode !== 200) {
+    return null;
+  }
+  try {
+    return new Set(JSON.parse(body).have);
+  } catch {
+    return null;
+  }
+}
+
+function git(args) {
+  try {
+    return execSync(`git ${args}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return null;
+  }
 }
 
-function formatNetworkError(error, host, port) {
+// Describe the source being pushed. Outside a git checkout only the pusher is known.
+function getReleaseMetadata() {
+  let pushedBy = git('config user.name');
+  if (!pushedBy) {
+    try {
+      pushedBy = userInfo().username;
+    } catch {}
+  }
+  
+  const metadata = { pushedBy };
+  const commit = git('rev-parse HEAD');
+  if (commit) {
+    metadata.commit = commit;
+    metadata.branch = git('rev-parse --abbrev-ref HEAD');
+    metadata.message = git('log -1 --format=%s');
+    metadata.dirty = Boolean(git('status --porcelain'));
+  }
+  return metadata;
+}
+
+function describeRelease(release) {
+  const parts = [];
+  if (release.commit) {
+    parts.push(`${release.commit.slice(0, 7)}${release.dirty ? '+dirty' : ''}`);
+    if (release.branch && release.branch !== 'HEAD') parts.push(`on ${release.branch}`);
+  }
+  if (release.pushedBy) parts.push(`${release.commit ? 'by' : 'pushed by'} ${release.pushedBy}`);
+  if (release.commit && release.message) parts.push(`"${release.message}"`);
+  if (release.deployedBy && release.deployedBy !== 'anonymous') parts.push(`[token ${release.deployedBy}]`);
+  return parts.join(' ');
+}
+
+/*
+Split a NLEVER_HOST into its parts. A bare host:port keeps the old rules - port 8081
+unless given, HTTPS only on 443 - while an explicit https:// or http:// says which,
+with that scheme's usual port when none is given. Null when it isn't a host at all.
+*/
+function parseHost(spec) {
+  const match = spec.match(/^(?:(https?):\/\/)?(\[[^\]]+\]|[^/:\[\]]+)(?::(\d+))?\/?$/i);
+  if (!match) return null;
+
+  const scheme = match[1] && match[1].toLowerCase();
+  const port = parseInt(match[3] || (scheme === 'https' ? 443 : scheme === 'http' ? 80 : 8081), 10);
+  return {
+    secure: scheme ? scheme === 'https' : port === 443,
+    hostname: match[2].replace(/^\[|\]$/g, ''),
+    port
+  };
+}
+
+function normalizeFingerprint(fingerprint) {
+  return fingerprint.replace(/[^a-f0-9]/gi, '').toUpperCase();
+}
+
+/*
+Trust for servers with self-signed or internal certificates. NLEVER_CA is a PEM file
+of CA certificates to trust in place of the public ones. NLEVER_TLS_FINGERPRINT pins
+the server instead: the SHA-256 fingerprint of its own certificate, as printed by
+nlever-server at startup. The handshake proves the server holds that certificate's
+key, so a pinned connection needs no CA; a CA's fingerprint proves nothing, since
+anyone can send a copy of the CA along with a certificate of their own, so trusting
+a CA takes NLEVER_CA. With both set, the chain has to verify and the pin match. The
+check is made before anything - the auth token included - is sent.
+*/
+function getTLSOptions(hostname, port) {
+  const options = {};
+  if (config.NLEVER_CA) {
+    options.ca = readFileSync(config.NLEVER_CA);
+  }
+  if (!config.NLEVER_TLS_FINGERPRINT) return options;
+
+  const pins = config.NLEVER_TLS_FINGERPRINT.split(',').map(normalizeFingerprint).filter(Boolean);
+  options.createConnection = (connectOptions, oncreate) => {
+    const socket = tlsConnect({
+      host: hostname,
+      port,
+      servername: isIP(hostname) ? undefined : hostname,
+      ca: options.ca,
+      rejectUnauthorized: Boolean(options.ca)
+    });
+    socket.once('error', oncreate);
+    socket.once('secureConnect', () => {
+      socket.removeListener('error', oncreate);
+      const presented = socket.getPeerCertificate().fingerprint256;
+      if (presented && pins.includes(normalizeFingerprint(presented))) {
+        oncreate(null, socket);
+      } else {
+        socket.destroy();
+        const error = new Error(`Certificate of ${hostname}:${port} does not match NLEVER_TLS_FINGERPRINT (the server presented ${presented || 'none'}; to trust a CA, use NLEVER_CA)`);
+        error.code = 'ERR_FINGERPRINT_MISMATCH';
+        oncreate(error);
+      }
+    });
+  };
+  return options;
+}
+
+const UNTRUSTED_CERT_ERRORS = [
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY'
+];
+
+function formatNetworkError(error, host, port, secure) {
   if (error.code === 'ECONNREFUSED') {
     return `Connection refused at ${host}:${port}. Is the server running?`;
   } else if (error.code === 'ENOTFOUND') {
     return `Host not found: ${host}`;
   } else if (error.code === 'ETIMEDOUT') {
     return `Connection timeout to ${host}:${port}`;
+  } else if (UNTRUSTED_CERT_ERRORS.includes(error.code)) {
+    return `Certificate of ${host}:${port} is not trusted (${error.code}). Set NLEVER_CA to the CA that issued it, or pin it with NLEVER_TLS_FINGERPRINT`;
+  } else if (error.code === 'ERR_TLS_CERT_ALTNAME_INVALID') {
+    return `Certificate of ${host}:${port} is for another name: ${error.reason}`;
+  } else if (error.code === 'CERT_HAS_EXPIRED') {
+    return `Certificate of ${host}:${port} has expired`;
+  } else if (error.code === 'EPROTO' && secure) {
+    return `TLS handshake with ${host}:${port} failed. Is the server using HTTPS?`;
+  } else if (error.code === 'ECONNRESET' && !secure) {
+    return `Connection reset by ${host}:${port}. If the server uses HTTPS, set the host as https://${host}:${port}`;
   }
   return error.message || 'Unknown network error';
 }
 
 async function httpRequest(method, path, options = {}) {
-  const [host, port = '8081'] = config.NLEVER_HOST.split(':');
-  const isHttps = port === '443' || config.NLEVER_HOST.startsWith('https://');
-  const requestFn = isHttps ? httpsRequest : request;
+  const hostSpec = options.host || config.NLEVER_HOST;
+  const parsed = parseHost(hostSpec);
+  const fail = errorMsg => {
+    if (options.onError) {
+      options.onError(errorMsg);
+    } else {
+      console.error(`✗ Request failed: ${errorMsg}`);
+    }
+  };
+  if (!parsed) {
+    const errorMsg = `Invalid host "${hostSpec}", expected host:port or https://host:port`;
+    fail(errorMsg);
+    throw new Error(errorMsg);
+  }
+  const { secure, hostname: host, port } = parsed;
+  const requestFn = secure ? httpsRequest : request;
   
   // Log connection only once per command (not for progress updates)
   if (!options.skipConnectionLog) {
-    console.log(`Connecting to server at ${host}:${port}`);
+    const target = config.NLEVER_TARGET ? ` (target ${config.NLEVER_TARGET})` : '';
+    console.log(`Connecting to server at ${secure ? 'https://' : ''}${host}:${port}${target}`);
+  }
+  
+  let tlsOptions = {};
+  if (secure) {
+    try {
+      tlsOptions = getTLSOptions(host, port);
+    } catch (error) {
+      const errorMsg = `Cannot read NLEVER_CA: ${error.message}`;
+      fail(errorMsg);
+      throw error;
+    }
   }
   
   const headers = options.headers || {};
+  if (options.json !== undefined) {
+    options.body = JSON.stringify(options.json);
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(options.body);
+  }
   if (config.NLEVER_AUTH) {
     headers['Authorization'] = `Bearer ${config.NLEVER_AUTH}`;
   }
@@ -128,11 +647,12 @@ async function httpRequest(method, path, options = {}) {
   return new Promise((resolve, reject) => {
     const req = requestFn({
       hostname: host,
-      port: parseInt(port),
+      port,
       path,
       method,
       headers,
-      timeout: options.timeout || 30000
+      timeout: options.timeout || 30000,
+      ...tlsOptions
     }, res => {
       if (options.stream) {
         resolve({ res, req });
@@ -147,52 +667,263 @@ async function httpRequest(method, path, options = {}) {
     });
     
     req.on('error', error => {
-      const errorMsg = formatNetworkError(error, host, port);
-      if (options.onError) {
-        options.onError(errorMsg);
-      } else {
-        console.error(`✗ Request failed: ${errorMsg}`);
-      }
+      fail(formatNetworkError(error, host, port, secure));
       reject(error);
     });
     
     if (options.stream) {
       resolve({ req });
-    } else if (!options.body) {
-      req.end();
+    } else {
+      req.end(options.body);
     }
   });
 }
 
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+/*
+Render the NDJSON progress events a deploy streams back, as they arrive. Resolves
+with the final `result` event, or null when the connection ends without one (the
+server went away mid-deploy).
+*/
+function renderDeployProgress(res, out = hostOutput()) {
+  return new Promise(resolve => {
+    const labels = {};
+    const phasesWithOutput = new Set();
+    let result = null;
+    let buffered = '';
+    let first = true;
+    
+    const handle = line => {
+      if (!line.trim()) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        return;
+      }
+      
+      if (first) {
+        out.progress('\n');
+        first = false;
+      }
+      
+      if (event.type === 'phase' && event.status === 'start') {
+        labels[event.phase] = event.message;
+        out.log(`→ ${event.message}...`);
+      } else if (event.type === 'phase') {
+        const mark = event.status === 'failed' ? '✗' : '✓';
+        out.log(`${mark} ${labels[event.phase] || event.phase} (${formatDuration(event.duration)})`);
+      } else if (event.type === 'log') {
+        out.log(`  ${event.message}`);
+      } else if (event.type === 'output') {
+        phasesWithOutput.add(event.phase);
+        out.log(`  │ ${event.line}`);
+      } else if (event.type === 'result') {
+        result = event;
+      }
+    };
+    
+    res.setEncoding('utf8');
+    res.on('data', chunk => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(handle);
+    });
+    res.on('end', () => {
+      handle(buffered);
+      // Output that was already streamed live isn't worth repeating under the error
+      if (result && result.output && phasesWithOutput.has(result.phase)) {
+        delete result.output;
+      }
+      resolve(result);
+    });
+  });
+}
+
+function printDeployFailure(failure, out = hostOutput()) {
+  const phase = failure.phase ? ` during ${failure.phase}` : '';
+  out.error(`\n✗ Deployment failed${phase}: ${failure.error}`);
+  if (failure.output) {
+    failure.output.split('\n').forEach(line => out.error(`  │ ${line}`));
+  }
+}
+
+/*
+Where the output about one host goes. For a single server that's the terminal as
+before; for a host of a group every line is prefixed with the host, and the upload
+percentage isn't redrawn, since several hosts may be writing at once.
+*/
+function hostOutput(host) {
+  if (!host) {
+    return { log: console.log, error: console.error, progress: text => process.stdout.write(text) };
+  }
+  const prefix = line => `[${host}] ${String(line).replace(/^\n+/, '')}`;
+  return {
+    log: line => console.log(prefix(line)),
+    error: line => console.error(prefix(line)),
+    progress: () => {}
+  };
+}
+
+async function printFileList(files, extras) {
+  const rows = files.map(file => [formatBytes(file.size), file.path === file.source ? file.path : `${file.path} (from ${file.source})`]);
+  for (const path of extras) {
+    const stat = await fs.lstat(path);
+    rows.push(['', stat.isSymbolicLink() ? `${path} -> ${await fs.readlink(path)}` : `${path}/`]);
+  }
+  rows.sort((a, b) => a[1].localeCompare(b[1]));
+  
+  console.log('');
+  rows.forEach(([size, path]) => console.log(`${size.padStart(10)}  ${path}`));
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  console.log(`\n${files.length} files, ${formatBytes(total)} would be deployed (dry run, nothing was uploaded)`);
+}
+
 async function push() {
-  try {
-    execSync('which tar', { stdio: 'ignore' });
-  } catch {
-    console.error('tar command not found. Please install tar first.');
-    process.exit(1);
+  const metadata = getReleaseMetadata();
+  if (metadata.commit) {
+    console.log(`Pushing ${describeRelease(metadata)}`);
+  }
+  
+  const { flags } = parseArgs(['full', 'dry-run', 'rollback-on-failure']);
+  
+  console.log('Collecting files...');
+  const { files, extras } = await collectFiles();
+  
+  if (flags['dry-run']) {
+    await printFileList(files, extras);
+    return;
+  }
+  const manifest = {
+    files: Object.fromEntries(files.map(file => [file.path, { hash: file.hash, size: file.size, mode: file.mode }]))
+  };
+  const release = { metadata, files, extras, manifest, full: flags.full };
+  
+  const hosts = getHosts();
+  if (hosts.length > 1) {
+    await rollout(hosts, release, flags);
+  } else {
+    await pushToHost(null, release);
+  }
+}
+
+/*
+Deploy to every host of a group, `parallel` at a time. Each deploy only succeeds
+once the server has seen the new release pass its health check, so a batch that
+finishes is known good before the next one starts. The first failure stops the
+rollout; with --rollback-on-failure the hosts that were already updated go back to
+their previous release, so the group isn't left running two versions.
+*/
+async function rollout(hosts, release, flags) {
+  const parallel = Math.max(parseInt(flags.parallel || config.NLEVER_PARALLEL, 10) || 1, 1);
+  const rollbackOnFailure = flags['rollback-on-failure'] || config.NLEVER_ROLLBACK_ON_FAILURE === 'yes';
+  const results = new Map(hosts.map(host => [host, 'skipped']));
+  const updated = [];
+  let failed = false;
+  
+  console.log(`Rolling out to ${hosts.length} hosts, ${parallel} at a time${config.NLEVER_TARGET ? ` (target ${config.NLEVER_TARGET})` : ''}`);
+  
+  for (let i = 0; i < hosts.length && !failed; i += parallel) {
+    const batch = hosts.slice(i, i + parallel);
+    const outcomes = await Promise.all(batch.map(host => pushToHost(host, release).then(() => true, () => false)));
+    batch.forEach((host, j) => {
+      results.set(host, outcomes[j] ? 'deployed' : 'failed');
+      if (outcomes[j]) {
+        updated.push(host);
+      } else {
+        failed = true;
+      }
+    });
+  }
+  
+  if (failed && rollbackOnFailure) {
+    for (const host of updated) {
+      try {
+        const { statusCode, body } = await hostRequest(host, 'POST', `/rollback/${config.NLEVER_NAME}`);
+        results.set(host, statusCode === 200 ? 'deployed, rolled back' : `deployed, rollback failed: ${parseError(body, statusCode)}`);
+      } catch (error) {
+        results.set(host, `deployed, rollback failed: ${error.message}`);
+      }
+    }
+  }
+  
+  console.log('');
+  printTable(['HOST', 'RESULT'], [...results]);
+  
+  if (failed) {
+    console.error(`\n✗ Rollout stopped after a failure${updated.length && !rollbackOnFailure ? ` - ${updated.length} host(s) already run the new release` : ''}`);
+    throw new Error('Rollout failed');
   }
+  console.log(`\n✓ Deployed to all ${hosts.length} hosts`);
+}
 
-  const archivePath = await createArchive();
+// Push to one server, `host` or NLEVER_HOST. Resolves when the deploy succeeded.
+async function pushToHost(host, { metadata, files, extras, manifest, full }) {
+  const out = hostOutput(host);
+  
+  // Only what the server doesn't have yet goes into the archive
+  const known = full ? null : await getServerHashes(manifest, host, out);
+  const upload = known ? files.filter(file => !known.has(file.hash)) : files;
+  const skipped = files.length - upload.length;
+  const skippedBytes = files.reduce((total, file) => total + file.size, 0) - upload.reduce((total, file) => total + file.size, 0);
+  
+  out.log('Creating deployment archive...');
+  const archivePath = await createArchive(upload, extras, manifest);
   const fileSize = (await fs.stat(archivePath)).size;
   
-  console.log(`Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB...`);
+  if (skipped > 0) {
+    out.log(`${upload.length} of ${files.length} files changed, ${skipped} unchanged (${formatBytes(skippedBytes)}) are already on the server`);
+  }
+  out.log(`Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB...`);
+  const uploadStarted = Date.now();
   
-  let path = `/deploy/${config.NLEVER_NAME}`;
+  const params = new URLSearchParams();
+  if (skipped > 0) {
+    params.set('delta', '1');
+  }
   if (config.NLEVER_HEALTH_CHECK) {
-    path += `?health_check=${encodeURIComponent(config.NLEVER_HEALTH_CHECK)}`;
+    params.set('health_check', config.NLEVER_HEALTH_CHECK);
+  }
+  if (config.NLEVER_KEEP_RELEASES) {
+    params.set('keep_releases', config.NLEVER_KEEP_RELEASES);
+  }
+  if (config.NLEVER_BUILD) {
+    params.set('build', config.NLEVER_BUILD);
+  }
+  if (config.NLEVER_HOSTNAMES) {
+    params.set('hostnames', config.NLEVER_HOSTNAMES);
+  }
+  if (config.NLEVER_PORT) {
+    params.set('port', config.NLEVER_PORT);
+  }
+  for (const [key, param] of Object.entries(PROCESS_OPTIONS)) {
+    if (config[key]) params.set(param, config[key]);
+  }
+  
+  let path = `/deploy/${config.NLEVER_NAME}`;
+  if (params.toString()) {
+    path += `?${params}`;
   }
   
   try {
     const { req } = await httpRequest('POST', path, {
       headers: {
         'Content-Type': 'application/octet-stream',
-        'Content-Length': fileSize
+        'Accept': 'application/x-ndjson',
+        'Content-Length': fileSize,
+        'X-Nlever-Release': Buffer.from(JSON.stringify(metadata)).toString('base64')
       },
       timeout: 300000,
       stream: true,
+      host,
+      skipConnectionLog: known !== null || Boolean(host),
       onError: async (errorMsg) => {
-        await fs.unlink(archivePath);
-        console.error(`\n✗ Upload failed: ${errorMsg}`);
+        await removeArchive(archivePath);
+        out.error(`\n✗ Upload failed: ${errorMsg}`);
       }
     });
 
@@ -204,27 +935,52 @@ async function push() {
       uploadedBytes += chunk.length;
       const progress = Math.floor((uploadedBytes / fileSize) * 100);
       if (progress > lastProgress) {
-        process.stdout.write(`\rUploading... ${progress}%`);
+        out.progress(`\rUploading... ${progress}%`);
         lastProgress = progress;
       }
     });
+    stream.on('end', () => {
+      const uploaded = `Uploaded ${formatBytes(fileSize)} in ${formatDuration(Date.now() - uploadStarted)}`;
+      if (host) {
+        out.log(uploaded);
+      } else {
+        out.progress(`\r${uploaded}`);
+      }
+    });
     
     return new Promise((resolve, reject) => {
       req.on('response', res => {
+        if ((res.headers['content-type'] || '').includes('application/x-ndjson')) {
+          renderDeployProgress(res, out).then(async result => {
+            await removeArchive(archivePath);
+            
+            if (result && result.success) {
+              out.log(`\n✓ Deployment successful (${formatDuration(result.duration)})`);
+              if (result.port) {
+                out.log(`  Listening on port ${result.port}`);
+              }
+              resolve();
+            } else {
+              printDeployFailure(result || { error: 'Connection closed before the deployment finished' }, out);
+              reject();
+            }
+          });
+          return;
+        }
+        
         let body = '';
         res.on('data', chunk => body += chunk);
         res.on('end', async () => {
-          await fs.unlink(archivePath);
+          await removeArchive(archivePath);
           
           if (res.statusCode === 200) {
-            console.log('\n✓ Deployment successful');
+            out.log('\n✓ Deployment successful');
             resolve();
           } else {
             try {
-              const error = JSON.parse(body);
-              console.error(`\n✗ Deployment failed: ${error.error}`);
+              printDeployFailure(JSON.parse(body), out);
             } catch {
-              console.error(`\n✗ Deployment failed with status ${res.statusCode}`);
+              out.error(`\n✗ Deployment failed with status ${res.statusCode}`);
             }
             reject();
           }
@@ -239,10 +995,25 @@ async function push() {
 }
 
 async function rollback() {
-  const { statusCode, body } = await httpRequest('POST', `/rollback/${config.NLEVER_NAME}`);
+  const releaseId = parseArgs().positional[0];
+  let path = `/rollback/${config.NLEVER_NAME}`;
+  if (releaseId) {
+    path += `?to=${encodeURIComponent(releaseId)}`;
+  }
+  
+  // Room for the release's on-rollback hook
+  const { statusCode, body } = await httpRequest('POST', path, { timeout: 330000 });
   
   if (statusCode === 200) {
-    console.log('✓ Rollback successful');
+    const result = JSON.parse(body);
+    console.log(`✓ Rollback successful, now running release ${result.release}${result.warm ? ' (switched to the warm standby)' : ''}`);
+    if (result.hook) {
+      const { hook } = result;
+      console.log(hook.success ? `✓ ${hook.name} hook ran: ${hook.command}` : `✗ ${hook.name} hook failed: ${hook.error}`);
+      if (hook.output) {
+        hook.output.split('\n').forEach(line => console.log(`  │ ${line}`));
+      }
+    }
   } else {
     try {
       const error = JSON.parse(body);
@@ -254,17 +1025,68 @@ async function rollback() {
   }
 }
 
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+async function releases() {
+  const { statusCode, body } = await httpRequest('GET', `/releases/${config.NLEVER_NAME}`);
+  
+  if (statusCode === 200) {
+    const result = JSON.parse(body);
+    console.log(`Releases for ${result.name} (keeping ${result.keep}):`);
+    result.releases.forEach(release => {
+      const marker = release.current ? '* ' : '  ';
+      const label = release.current ? '  (live)' : release.previous ? '  (previous)' : '';
+      console.log(`${marker}${release.id}  ${new Date(release.timestamp).toISOString()}  ${formatBytes(release.size).padStart(10)}  ${describeRelease(release)}${label}`);
+    });
+  } else {
+    try {
+      const error = JSON.parse(body);
+      console.error(`✗ ${error.error}`);
+    } catch {
+      console.error(`✗ Failed with status ${statusCode}`);
+    }
+    throw new Error('Listing releases failed');
+  }
+}
+
 async function status() {
+  const hosts = getHosts();
+  if (hosts.length > 1) {
+    await groupStatus(hosts);
+    return;
+  }
+  
   const { statusCode, body } = await httpRequest('GET', `/status/${config.NLEVER_NAME}`);
   
   if (statusCode === 200) {
     const status = JSON.parse(body);
     console.log(`App: ${status.name}`);
+    if (status.release) {
+      console.log(`Release: ${status.release.id} ${describeRelease(status.release)}`);
+      console.log(`Deployed: ${new Date(status.release.deployedAt).toISOString()}`);
+    }
+    if (status.port) {
+      console.log(`Port: ${status.port}`);
+    }
+    if (status.hostnames?.length) {
+      console.log(`Hostnames: ${status.hostnames.join(', ')}`);
+    }
+    if (status.standby) {
+      console.log(`Standby: ${status.standby.release?.id || 'previous release'}, warm for rollback until ${new Date(status.standby.retireAt).toISOString()}`);
+    }
     console.log(`Status: ${status.pm2.status}`);
     console.log(`CPU: ${status.pm2.cpu}%`);
     console.log(`Memory: ${Math.round(status.pm2.memory / 1024 / 1024)} MB`);
     console.log(`Uptime: ${new Date(status.pm2.uptime).toISOString()}`);
     console.log(`Restarts: ${status.pm2.restarts}`);
+    if (status.health) {
+      printHealth(status.health);
+    }
   } else {
     try {
       const error = JSON.parse(body);
@@ -276,10 +1098,66 @@ async function status() {
   }
 }
 
+// What the server's health monitor has seen: the current state and its history
+function printHealth(health) {
+  const failing = health.failures ? `, ${health.failures} failed check(s) in a row: ${health.lastError}` : '';
+  console.log(`Health: ${health.state} since ${new Date(health.since).toISOString()}${failing}`);
+  if (health.history.length === 0) return;
+  
+  console.log('Health history:');
+  health.history.slice(-10).forEach(change => {
+    console.log(`  ${new Date(change.time).toISOString()}  ${change.event.padEnd(9)}  ${change.reason}${change.restarted ? ' (restarted)' : ''}`);
+  });
+}
+
+async function groupStatus(hosts) {
+  let failed = false;
+  const rows = await Promise.all(hosts.map(async host => {
+    try {
+      const { statusCode, body } = await hostRequest(host, 'GET', `/status/${config.NLEVER_NAME}`);
+      if (statusCode !== 200) {
+        failed = true;
+        return [host, parseError(body, statusCode), '', '', '', ''];
+      }
+      const { release, pm2 } = JSON.parse(body);
+      return [host, pm2.status, release ? release.id : '-', `${pm2.cpu}%`, `${Math.round(pm2.memory / 1024 / 1024)} MB`, pm2.restarts];
+    } catch (error) {
+      failed = true;
+      return [host, error.message, '', '', '', ''];
+    }
+  }));
+  
+  console.log(`App: ${config.NLEVER_NAME}`);
+  printTable(['HOST', 'STATUS', 'RELEASE', 'CPU', 'MEMORY', 'RESTARTS'], rows);
+  if (failed) {
+    throw new Error('Status check failed');
+  }
+}
+
 async function logs() {
-  const lines = process.argv[3] || '100';
+  const { positional, flags } = parseArgs(['follow']);
+  const params = new URLSearchParams({ lines: flags.lines || positional[0] || '100' });
+  if (flags.stream) params.set('stream', flags.stream);
+  if (flags.since) params.set('since', flags.since);
+  if (flags.grep) params.set('grep', flags.grep);
+  
+  const hosts = getHosts();
+  if (flags.follow) {
+    params.set('follow', '1');
+    if (hosts.length > 1) {
+      await Promise.all(hosts.map(host => followLogs(`/logs/${config.NLEVER_NAME}?${params}`, host)));
+    } else {
+      await followLogs(`/logs/${config.NLEVER_NAME}?${params}`);
+    }
+    return;
+  }
+  
+  if (hosts.length > 1) {
+    await groupLogs(hosts, `/logs/${config.NLEVER_NAME}?${params}`);
+    return;
+  }
   
-  const { statusCode } = await httpRequest('GET', `/logs/${config.NLEVER_NAME}?lines=${lines}`, {
+  const { statusCode } = await httpRequest('GET', `/logs/${config.NLEVER_NAME}?${params}`, {
     pipe: process.stdout
   });
   
@@ -289,6 +1167,72 @@ async function logs() {
   }
 }
 
+// The logs of every host of a group, one section per host, in the group's order
+async function groupLogs(hosts, path) {
+  const results = await Promise.all(hosts.map(host => hostRequest(host, 'GET', path).catch(error => ({ error }))));
+  let failed = false;
+  
+  results.forEach(({ statusCode, body, error }, i) => {
+    console.log(`${i > 0 ? '\n' : ''}==> ${hosts[i]} <==`);
+    if (error || statusCode !== 200) {
+      console.error(`✗ ${error ? error.message : parseError(body, statusCode)}`);
+      failed = true;
+    } else {
+      process.stdout.write(body.endsWith('\n') || !body ? body : `${body}\n`);
+    }
+  });
+  
+  if (failed) {
+    throw new Error('Failed to get logs');
+  }
+}
+
+// Print log lines as the server pushes them, stdout lines to stdout and stderr lines
+// to stderr, until the connection drops or the user hits Ctrl-C. Lines from a host
+// of a group are prefixed with the host.
+async function followLogs(path, host) {
+  const prefix = host ? `[${host}] ` : '';
+  const { req } = await httpRequest('GET', path, { stream: true, host, skipConnectionLog: Boolean(host) });
+  
+  return new Promise((resolve, reject) => {
+    req.on('response', res => {
+      if (res.statusCode !== 200) {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => {
+          try {
+            console.error(`${prefix}✗ ${JSON.parse(body).error}`);
+          } catch {
+            console.error(`${prefix}✗ Failed to follow logs with status ${res.statusCode}`);
+          }
+          reject(new Error('Failed to follow logs'));
+        });
+        return;
+      }
+      
+      let buffered = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          try {
+            const entry = JSON.parse(line);
+            (entry.stream === 'err' ? process.stderr : process.stdout).write(`${prefix}${entry.line}\n`);
+          } catch {}
+        }
+      });
+      res.on('end', () => {
+        console.error(`${prefix}✗ Log stream closed by server`);
+        resolve();
+      });
+    });
+    
+    req.end();
+  });
+}
+
 async function logsDownload() {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const filename = `${config.NLEVER_NAME}_log_${timestamp}.log`;
@@ -326,10 +1270,18 @@ async function stop() {
 }
 
 async function restart() {
-  const { statusCode, body } = await httpRequest('POST', `/restart/${config.NLEVER_NAME}`);
+  const { flags } = parseArgs(['graceful']);
+  const path = `/restart/${config.NLEVER_NAME}${flags.graceful ? '?graceful=1' : ''}`;
+  const hosts = getHosts();
+  if (hosts.length > 1) {
+    await groupRestart(hosts, path);
+    return;
+  }
+  
+  const { statusCode, body } = await httpRequest('POST', path);
   
   if (statusCode === 200) {
-    console.log('✓ App restarted successfully');
+    console.log(`✓ App ${flags.graceful ? 'reloaded' : 'restarted'} successfully`);
   } else {
     try {
       const error = JSON.parse(body);
@@ -341,6 +1293,24 @@ async function restart() {
   }
 }
 
+async function groupRestart(hosts, path) {
+  const rows = await Promise.all(hosts.map(async host => {
+    try {
+      const { statusCode, body } = await hostRequest(host, 'POST', path);
+      return [host, statusCode === 200 ? 'restarted' : `failed: ${parseError(body, statusCode)}`];
+    } catch (error) {
+      return [host, `failed: ${error.message}`];
+    }
+  }));
+  
+  printTable(['HOST', 'RESULT'], rows);
+  if (rows.some(([, result]) => result !== 'restarted')) {
+    console.error('\n✗ Restart failed on some hosts');
+    throw new Error('Restart failed');
+  }
+  console.log(`\n✓ Restarted on all ${hosts.length} hosts`);
+}
+
 async function destroy() {
   const { statusCode, body } = await httpRequest('POST', `/destroy/${config.NLEVER_NAME}`);
   
@@ -357,7 +1327,197 @@ async function destroy() {
   }
 }
 
+async function env() {
+  const { positional, flags } = parseArgs(['restart']);
+  const [subcommand, ...args] = positional;
+  
+  if (subcommand === 'list' || !subcommand) {
+    const { statusCode, body } = await httpRequest('GET', `/env/${config.NLEVER_NAME}`);
+    if (statusCode !== 200) {
+      printError(body, statusCode);
+      throw new Error('Listing env failed');
+    }
+    const { vars } = JSON.parse(body);
+    const keys = Object.keys(vars).sort();
+    if (keys.length === 0) {
+      console.log('No env vars stored on the server');
+    }
+    keys.forEach(key => console.log(`${key}=${vars[key]}`));
+    return;
+  }
+  
+  const change = { restart: Boolean(flags.restart) };
+  if (subcommand === 'set') {
+    change.set = {};
+    for (const arg of args) {
+      const separator = arg.indexOf('=');
+      if (separator < 1) {
+        console.error(`✗ Expected KEY=VALUE, got: ${arg}`);
+        throw new Error('Invalid env assignment');
+      }
+      change.set[arg.slice(0, separator)] = arg.slice(separator + 1);
+    }
+  } else if (subcommand === 'unset') {
+    change.unset = args;
+  } else {
+    console.error(`✗ Unknown env command: ${subcommand} (use list, set or unset)`);
+    throw new Error('Unknown env command');
+  }
+  
+  if (args.length === 0) {
+    console.error(`✗ Nothing to ${subcommand}`);
+    throw new Error('Nothing to change');
+  }
+  
+  const { statusCode, body } = await httpRequest('POST', `/env/${config.NLEVER_NAME}`, { json: change });
+  if (statusCode !== 200) {
+    printError(body, statusCode);
+    throw new Error('Updating env failed');
+  }
+  
+  const result = JSON.parse(body);
+  console.log(`✓ Env updated (${subcommand === 'set' ? 'set' : 'removed'} ${args.map(arg => arg.split('=')[0]).join(', ')})`);
+  if (result.restarted) {
+    console.log('✓ App restarted with the new env');
+  } else {
+    console.log(`  Applied on the next deploy${change.restart ? '' : ', or run again with --restart'}`);
+  }
+}
+
+async function audit() {
+  const { flags } = parseArgs(['all']);
+  const params = new URLSearchParams({ limit: flags.limit || '50' });
+  if (!flags.all) params.set('app', flags.app || config.NLEVER_NAME);
+  if (flags.since) params.set('since', flags.since);
+  
+  const { statusCode, body } = await httpRequest('GET', `/audit?${params}`);
+  if (statusCode !== 200) {
+    printError(body, statusCode);
+    throw new Error('Reading audit log failed');
+  }
+  
+  const { entries } = JSON.parse(body);
+  if (entries.length === 0) {
+    console.log('No matching audit entries');
+    return;
+  }
+  
+  const rows = entries.map(entry => [
+    entry.time.replace('T', ' ').slice(0, 19),
+    entry.ip,
+    entry.identity || '-',
+    `${entry.method} ${entry.action || '/'}`,
+    entry.app || '-',
+    `${entry.result} ${entry.status}`,
+    formatDuration(entry.duration),
+    entry.error || ''
+  ]);
+  printTable(['TIME', 'IP', 'TOKEN', 'ACTION', 'APP', 'RESULT', 'DURATION', 'ERROR'], rows);
+}
+
+// The app's traffic through the proxy since the server started
+async function metrics() {
+  const { flags } = parseArgs(['json']);
+  const { statusCode, body } = await httpRequest('GET', `/metrics/${config.NLEVER_NAME}`, { skipConnectionLog: flags.json });
+  if (statusCode !== 200) {
+    printError(body, statusCode);
+    throw new Error('Reading metrics failed');
+  }
+  
+  const result = JSON.parse(body);
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  
+  console.log(`App: ${result.name}`);
+  if (!result.proxy) {
+    console.log('The server is not in proxy mode, so no traffic goes through nlever to count');
+    return;
+  }
+  console.log(`Since: ${new Date(result.since).toISOString()}`);
+  console.log(`Requests: ${result.requests} (${result.open} open now)`);
+  if (result.requests > 0) {
+    const statuses = Object.keys(result.statuses).sort().map(statusClass => `${statusClass} ${result.statuses[statusClass]}`);
+    console.log(`Status: ${statuses.join(', ')}`);
+    console.log(`Sent: ${formatBytes(result.bytes)}`);
+    console.log(`Last request: ${new Date(result.lastRequest).toISOString()}`);
+  }
+  const { latency } = result;
+  if (latency.samples > 0) {
+    const percentiles = ['p50', 'p90', 'p95', 'p99', 'max'].map(key => `${key} ${formatDuration(latency[key])}`);
+    console.log(`Latency: ${percentiles.join(', ')} (last ${latency.samples} requests)`);
+  }
+  if (result.accessLog) {
+    console.log(`Access log: ${result.accessLog.file} (${result.accessLog.format})`);
+  }
+}
+
+// Every app on the server the token may see, with its live process
+async function list() {
+  const { flags } = parseArgs(['json']);
+  const { statusCode, body } = await httpRequest('GET', '/apps', { skipConnectionLog: flags.json });
+  if (statusCode !== 200) {
+    printError(body, statusCode);
+    throw new Error('Listing apps failed');
+  }
+  
+  const { apps } = JSON.parse(body);
+  if (flags.json) {
+    console.log(JSON.stringify(apps, null, 2));
+    return;
+  }
+  if (apps.length === 0) {
+    console.log('No apps found');
+    return;
+  }
+  
+  const rows = apps.map(app => [
+    app.name,
+    app.instances > 1 ? `${app.status} x${app.instances}` : app.status,
+    app.release?.id || '-',
+    app.port || '-',
+    `${app.cpu}%`,
+    `${Math.round(app.memory / 1024 / 1024)} MB`,
+    app.restarts,
+    app.lastDeploy ? new Date(app.lastDeploy).toISOString().replace('T', ' ').slice(0, 19) : '-',
+    app.healthCheck || '-'
+  ]);
+  printTable(['NAME', 'STATUS', 'RELEASE', 'PORT', 'CPU', 'MEMORY', 'RESTARTS', 'DEPLOYED', 'HEALTH CHECK'], rows);
+}
+
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const format = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(format(headers));
+  rows.forEach(row => console.log(format(row)));
+}
+
+function parseError(body, statusCode) {
+  try {
+    return JSON.parse(body).error;
+  } catch {
+    return `Failed with status ${statusCode}`;
+  }
+}
+
+function printError(body, statusCode) {
+  console.error(`✗ ${parseError(body, statusCode)}`);
+}
+
+// A request to one host of a group. Nothing is printed; a network failure rejects
+// with the readable message instead.
+async function hostRequest(host, method, path, options = {}) {
+  let failure;
+  try {
+    return await httpRequest(method, path, { ...options, host, skipConnectionLog: true, onError: errorMsg => failure = errorMsg });
+  } catch (error) {
+    throw new Error(failure || error.message);
+  }
+}
+
 async function init() {
+  const target = getTargetArg();
   let envContent = '';
   let existingVars = {};
   
@@ -367,7 +1527,7 @@ async function init() {
     
     // Parse existing variables
     envContent.split('\n').forEach(line => {
-      const match = line.match(/^([A-Z_]+)=/);
+      const match = line.match(/^([A-Z0-9_]+)=/);
       if (match) {
         existingVars[match[1]] = true;
       }
@@ -396,21 +1556,53 @@ async function init() {
     newVars.push(`NLEVER_NAME=${appName}`);
   }
   
-  if (!existingVars.NLEVER_HOST) {
-    newVars.push('NLEVER_HOST=');
-  }
-  
-  // Add optional variables as comments if they don't exist
-  if (!existingVars.NLEVER_AUTH) {
-    newVars.push('# NLEVER_AUTH=your-secret-token       # Optional, must match server');
-  }
-  
-  if (!existingVars.NLEVER_HEALTH_CHECK) {
-    newVars.push('# NLEVER_HEALTH_CHECK=/health         # Optional, endpoint to verify deployment');
-  }
-  
-  if (!existingVars.NLEVER_EXCLUSIONS) {
-    newVars.push('# NLEVER_EXCLUSIONS=.git,node_modules,*.log  # Optional, custom exclusion patterns');
+  if (target) {
+    newVars.push(...getTargetInitVars(target, existingVars));
+  } else {
+    if (!existingVars.NLEVER_HOST) {
+      newVars.push('NLEVER_HOST=');
+    }
+    
+    // Add optional variables as comments if they don't exist
+    if (!existingVars.NLEVER_HOSTS) {
+      newVars.push('# NLEVER_HOSTS=web1:8081,web2:8081  # Optional, a group of servers to deploy to instead');
+    }
+    
+    if (!existingVars.NLEVER_AUTH) {
+      newVars.push('# NLEVER_AUTH=your-secret-token       # Optional, must match server');
+    }
+    
+    if (!existingVars.NLEVER_HEALTH_CHECK) {
+      newVars.push('# NLEVER_HEALTH_CHECK=/health         # Optional, endpoint to verify deployment');
+    }
+    
+    if (!existingVars.NLEVER_KEEP_RELEASES) {
+      newVars.push('# NLEVER_KEEP_RELEASES=5              # Optional, releases kept on the server for rollback');
+    }
+    
+    if (!existingVars.NLEVER_PORT) {
+      newVars.push('# NLEVER_PORT=3001                    # Optional, port the app listens on without the proxy');
+    }
+    
+    if (!existingVars.NLEVER_HOSTNAMES) {
+      newVars.push('# NLEVER_HOSTNAMES=myapp.lan          # Optional, hostnames the proxy routes to this app');
+    }
+    
+    if (!existingVars.NLEVER_BUILD) {
+      newVars.push('# NLEVER_BUILD=npm run build          # Optional, build command run on the server (no = skip)');
+    }
+    
+    if (!existingVars.NLEVER_KILL_TIMEOUT) {
+      newVars.push('# NLEVER_KILL_TIMEOUT=10000           # Optional, ms the app gets to shut down after SIGINT');
+    }
+    
+    if (!existingVars.NLEVER_EXCLUSIONS) {
+      newVars.push('# NLEVER_EXCLUSIONS=.git,node_modules,*.log  # Optional, custom exclusion patterns');
+    }
+    
+    if (!existingVars.NLEVER_GITIGNORE) {
+      newVars.push('# NLEVER_GITIGNORE=yes                # Optional, also skip files your .gitignore ignores');
+    }
   }
   
   if (newVars.length === 0) {
@@ -424,7 +1616,7 @@ async function init() {
   }
   
   if (envContent) {
-    envContent += '\n# nlever configuration\n';
+    envContent += target ? `\n# nlever target: ${target}\n` : '\n# nlever configuration\n';
   }
   
   envContent += newVars.join('\n') + '\n';
@@ -432,7 +1624,72 @@ async function init() {
   await fs.writeFile(CONFIG_FILE, envContent);
   
   console.log('✓ Created/updated .env file with nlever configuration');
-  console.log('✗ Remember to set NLEVER_HOST before deploying');
+  console.log(`✗ Remember to set ${target ? `${targetPrefix(target)}HOST` : 'NLEVER_HOST'} before deploying`);
+  if (target) {
+    console.log(`  Deploy with: nlever push --target ${target}`);
+  }
+}
+
+// A target only needs its own host. The rest is optional and falls through to the
+// shared NLEVER_* settings when left commented out.
+function getTargetInitVars(target, existingVars) {
+  const prefix = targetPrefix(target);
+  const vars = [];
+  
+  if (!existingVars[`${prefix}HOST`]) {
+    vars.push(`${prefix}HOST=`);
+  }
+  if (!existingVars[`${prefix}AUTH`]) {
+    vars.push(`# ${prefix}AUTH=your-secret-token`);
+  }
+  if (!existingVars[`${prefix}HEALTH_CHECK`]) {
+    vars.push(`# ${prefix}HEALTH_CHECK=/health`);
+  }
+  if (!existingVars[`${prefix}EXCLUSIONS`]) {
+    vars.push(`# ${prefix}EXCLUSIONS=.git,node_modules,*.log`);
+  }
+  if (!existingVars[`${prefix}ENV_FILE`]) {
+    vars.push(`# ${prefix}ENV_FILE=.env.nlever.${target}   # Default when it exists`);
+  }
+  
+  return vars;
+}
+
+// --target and --env are the same flag, accepted by every command
+function getTargetArg() {
+  const { flags } = parseArgs();
+  const target = flags.target || flags.env;
+  if (target === true) {
+    console.error('--target needs a target name');
+    process.exit(1);
+  }
+  return target;
+}
+
+const SINGLE_HOST_COMMANDS = ['rollback', 'releases', 'env', 'audit', 'list', 'metrics', 'logs-download', 'stop', 'destroy'];
+
+/*
+--host narrows a command to one server, which may or may not be part of the group.
+Without it, push, status, restart and logs fan out across a group; the rest act on
+a single server and would otherwise silently pick one.
+*/
+function selectHost(command) {
+  const { flags } = parseArgs();
+  if (flags.host === true) {
+    console.error('--host needs a host');
+    process.exit(1);
+  }
+  if (flags.host) {
+    config.NLEVER_HOST = flags.host;
+    delete config.NLEVER_HOSTS;
+    return;
+  }
+  
+  const hosts = getHosts();
+  if (hosts.length > 1 && SINGLE_HOST_COMMANDS.includes(command)) {
+    console.error(`✗ ${command} works on one server at a time. Pick one with --host: ${hosts.join(', ')}`);
+    process.exit(1);
+  }
 }
 
 async function run() {
@@ -449,7 +1706,8 @@ async function run() {
     return;
   }
   
-  loadConfig();
+  loadConfig(getTargetArg());
+  selectHost(command);
   
   try {
     switch (command) {
@@ -459,6 +1717,21 @@ async function run() {
       case 'rollback':
         await rollback();
         break;
+      case 'releases':
+        await releases();
+        break;
+      case 'env':
+        await env();
+        break;
+      case 'audit':
+        await audit();
+        break;
+      case 'list':
+        await list();
+        break;
+      case 'metrics':
+        await metrics();
+        break;
       case 'status':
         await status();
         break;
@@ -478,16 +1751,33 @@ async function run() {
         await destroy();
         break;
       default:
-        console.log('Usage: nlever <command>');
+        console.log('Usage: nlever <command> [--target <name>] [--host <host>]');
         console.log('Commands:');
         console.log('  init      - Initialize .env file with nlever configuration');
-        console.log('  push      - Deploy current directory');
-        console.log('  rollback  - Rollback to previous version');
+        console.log('  push [--full] [--dry-run] - Deploy current directory (--full uploads every file, not just changed ones;');
+        console.log('            --dry-run lists the files that would ship)');
+        console.log('            --parallel <n>         With NLEVER_HOSTS, deploy to n hosts at a time (default 1)');
+        console.log('            --rollback-on-failure  Roll back hosts already updated when one fails');
+        console.log('  rollback [id] - Rollback to previous version, or to a kept release');
+        console.log('  releases  - List kept releases');
         console.log('  status    - Check app status');
         console.log('  logs [n]  - Get app logs (default 100 lines)');
+        console.log('            -f, --follow      Keep streaming new lines');
+        console.log('            --stream <s>      Only stdout or stderr');
+        console.log('            --since <time>    Only lines from e.g. 10m, 2h, 1d ago, or a date');
+        console.log('            --grep <text>     Only lines containing the text');
         console.log('  logs-download - Download complete log file');
+        console.log('  env list  - List env vars stored on the server (values masked)');
+        console.log('  env set KEY=VALUE... [--restart]  - Store env vars on the server');
+        console.log('  env unset KEY... [--restart]      - Remove stored env vars');
+        console.log('  audit     - Show the server audit log for the app');
+        console.log('            --all             Every app, not just this one');
+        console.log('            --since <time>    Only entries from e.g. 2h, 1d ago, or a date');
+        console.log('            --limit <n>       Most recent n entries (default 50)');
+        console.log('  list [--json] - List every app on the server with its status');
+        console.log('  metrics [--json] - Requests, status codes and latency of the app through the proxy');
         console.log('  stop      - Stop the app');
-        console.log('  restart   - Restart the app');
+        console.log('  restart [--graceful] - Restart the app (--graceful reloads it, worker by worker in cluster mode)');
         console.log('  destroy   - Completely remove the app');
         process.exit(1);
     }
@@ -6,12 +6,17 @@
 // Licensed under the MIT License.
 
 import { createServer, request } from 'http';
-import { promises as fs } from 'fs';
-import { join } from 'path';
+import { createServer as createHttpsServer, request as httpsRequest } from 'https';
+import { connect, createServer as createNetServer } from 'net';
+import { createSecureContext } from 'tls';
+import { promises as fs, constants as fsConstants, readFileSync, statSync, watchFile } from 'fs';
+import { join, basename, dirname, relative, resolve, sep } from 'path';
 import { execSync, spawn } from 'child_process';
-import { createWriteStream } from 'fs';
+import { createReadStream, createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
-import { tmpdir } from 'os';
+import { tmpdir, cpus, hostname } from 'os';
+import { createGunzip } from 'zlib';
+import { createHash, randomBytes, timingSafeEqual, X509Certificate } from 'crypto';
 
 const PORT = process.env.NLEVER_PORT || 8081;
 let BASE_DIR = process.env.NLEVER_BASE_DIR || '/var/www';
@@ -21,10 +26,52 @@ const PROXY_PORT = process.env.NLEVER_PROXY_PORT || (PROXY_MODE ? 8080 : null);
 const APP_LISTINGS = process.env.NLEVER_APP_LISTINGS !== 'no';
 const ADMIN_IPS = process.env.NLEVER_ADMIN_IPS_ALLOW;
 const PROXY_IPS = process.env.NLEVER_PROXY_IPS_ALLOW;
+const KEEP_RELEASES = parseKeepReleases(process.env.NLEVER_KEEP_RELEASES) || 5;
+// Ports given to apps that don't ask for one, as [first, last]
+const PORT_RANGE = parsePortRange(process.env.NLEVER_PORT_RANGE) || [3001, 3999];
+const AUDIT_MAX_SIZE = parseInt(process.env.NLEVER_AUDIT_MAX_SIZE, 10) || 10 * 1024 * 1024;
+const AUDIT_KEEP = parseInt(process.env.NLEVER_AUDIT_KEEP, 10) || 5;
+// Format of the per-app proxy access logs: combined, json or off
+const ACCESS_LOG = ['combined', 'json', 'off'].includes(process.env.NLEVER_ACCESS_LOG) ? process.env.NLEVER_ACCESS_LOG : 'combined';
+const ACCESS_LOG_MAX_SIZE = parseInt(process.env.NLEVER_ACCESS_LOG_MAX_SIZE, 10) || 10 * 1024 * 1024;
+const ACCESS_LOG_KEEP = parseInt(process.env.NLEVER_ACCESS_LOG_KEEP, 10) || 5;
+// Latest requests per app that latency percentiles are worked out from
+const LATENCY_SAMPLES = 1000;
+// Seconds a replaced process is kept running for instant rollback (proxy mode)
+const WARM_STANDBY = (process.env.NLEVER_WARM_STANDBY ? parseInt(process.env.NLEVER_WARM_STANDBY, 10) || 0 : 300) * 1000;
+// Seconds to wait for in-flight requests before a replaced process is deleted
+const DRAIN_TIMEOUT = (parseInt(process.env.NLEVER_DRAIN_TIMEOUT, 10) || 30) * 1000;
+// Seconds between health monitor rounds, 0 to turn the monitor off
+const MONITOR_INTERVAL = (process.env.NLEVER_MONITOR_INTERVAL ? parseInt(process.env.NLEVER_MONITOR_INTERVAL, 10) || 0 : 30) * 1000;
+// Consecutive failed checks before an app counts as down
+const MONITOR_FAILURES = parseInt(process.env.NLEVER_MONITOR_FAILURES, 10) || 3;
+const MONITOR_RESTART = process.env.NLEVER_MONITOR_RESTART === 'yes';
+const ALERT_WEBHOOK = process.env.NLEVER_ALERT_WEBHOOK;
+// State changes kept per app for `nlever status`
+const HEALTH_HISTORY = 20;
+// Default certificate, plus a directory of <hostname>.crt/.key pairs picked by SNI
+const TLS_CERT = process.env.NLEVER_TLS_CERT;
+const TLS_KEY = process.env.NLEVER_TLS_KEY;
+const TLS_DIR = process.env.NLEVER_TLS_DIR;
+// Which listeners speak HTTPS once a certificate is configured: api, proxy or both
+const TLS_LISTENERS = process.env.NLEVER_TLS || 'both';
+
+// Written into every release directory, and mirrored into the registry for the live one
+const RELEASE_MANIFEST = '.nlever-release.json';
+// Path -> content hash of every file in a release, written by the CLI
+const FILE_MANIFEST = '.nlever-files.json';
 
 let apps = {};
 let REGISTRY_FILE = join(BASE_DIR, '.nlever-apps.json');
 const rateLimitMap = new Map(); // IP -> {count, lastReset}
+const inFlight = new Map(); // app port -> number of proxied requests still open
+const retireTimers = new Map(); // app name -> timer that retires its standby process
+const reservedPorts = new Set(); // ports of processes being started, not yet in the registry
+const claimedHostnames = new Map(); // hostname -> app whose deploy claims it, not yet in the registry
+let health = {}; // app name -> what the health monitor knows about it, see checkAppHealth()
+const metrics = new Map(); // app name -> proxied traffic since the server started, see recordAccess()
+const accessLogs = new Map(); // app name -> its open access log, see writeAccessLog()
+const serverStarted = Date.now();
 
 async function loadRegistry() {
   try {
@@ -40,13 +87,91 @@ async function saveRegistry() {
   await fs.writeFile(REGISTRY_FILE, JSON.stringify(apps, null, 2));
 }
 
-function checkAuth(req) {
-  if (!AUTH_TOKEN) return true;
-  const header = req.headers.authorization;
-  return header && header === `Bearer ${AUTH_TOKEN}`;
+// Route actions a token can be granted. A few routes share the permission of the
+// action they belong to.
+const TOKEN_ACTIONS = ['deploy', 'rollback', 'stop', 'restart', 'destroy', 'status', 'logs', 'releases', 'env', 'audit'];
+
+// Routes that are about the server rather than one app, so have no :appname
+const SERVER_ACTIONS = ['audit', 'apps'];
+const ACTION_ALIASES = { 'logs-download': 'logs', 'manifest': 'deploy', 'apps': 'status', 'metrics': 'status' };
+
+function getTokensFile() {
+  return join(BASE_DIR, '.nlever-tokens.json');
+}
+
+// Read on every request rather than cached: tokens are managed by `nlever-server
+// --token-*` commands running in a separate process, and a revoked token has to
+// stop working immediately, not at the next server restart. Null when there is no
+// token store at all, which is different from an empty one.
+async function loadTokens() {
+  try {
+    return JSON.parse(await fs.readFile(getTokensFile(), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function saveTokens(tokens) {
+  await fs.mkdir(BASE_DIR, { recursive: true });
+  await fs.writeFile(getTokensFile(), JSON.stringify(tokens, null, 2), { mode: 0o600 });
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/*
+Work out who is making a request. Returns an identity - the token's name and what
+it may do - or null when the request is not authenticated.
+
+NLEVER_AUTH_TOKEN stays what it always was: an all-powerful token, known as "admin".
+Tokens from the token store are only accepted by hash and only until they expire.
+A server with neither stays open, as before, with every request made as "anonymous".
+Once a token store exists it stays closed, even after its last token is revoked.
+*/
+async function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const presented = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const tokens = await loadTokens();
+
+  if (!AUTH_TOKEN && !tokens) {
+    return { name: 'anonymous', apps: ['*'], actions: ['*'] };
+  }
+  if (!presented) return null;
+
+  if (AUTH_TOKEN && safeEqual(presented, AUTH_TOKEN)) {
+    return { name: 'admin', apps: ['*'], actions: ['*'] };
+  }
+
+  const hash = hashToken(presented);
+  const token = (tokens || []).find(t => safeEqual(t.hash, hash));
+  if (!token || (token.expires && token.expires < Date.now())) {
+    return null;
+  }
+  return { name: token.name, apps: token.apps, actions: token.actions };
+}
+
+function matchesGlob(value, pattern) {
+  const regex = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${regex}$`).test(value);
+}
+
+// `appName` null for server actions, which narrow what they return to the token's apps
+function authorize(identity, action, appName) {
+  const permission = ACTION_ALIASES[action] || action;
+  const actionAllowed = identity.actions.includes('*') || identity.actions.includes(permission);
+  const appAllowed = appName === null || identity.apps.some(pattern => matchesGlob(appName, pattern));
+  return actionAllowed && appAllowed;
 }
 
 function sendError(res, statusCode, message) {
+  res.auditError = message;
   res.writeHead(statusCode, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify({ error: message }));
 }
@@ -101,6 +226,193 @@ function sanitizeForLog(input) {
   return String(input).replace(/[\r\n\t\x00-\x1f\x7f-\x9f]/g, '');
 }
 
+// Release ids are the Date.now() directory names under releases/
+function sanitizeReleaseId(releaseId) {
+  if (!/^\d+$/.test(releaseId)) {
+    throw new Error('Invalid release id');
+  }
+  return releaseId;
+}
+
+function parseKeepReleases(value) {
+  const keep = parseInt(value, 10);
+  return keep >= 1 ? keep : null;
+}
+
+function optionError(name, value, expected) {
+  return new Error(`Invalid ${name}: ${sanitizeForLog(String(value)).slice(0, 100)} (${expected})`);
+}
+
+function parseMs(value, name) {
+  const ms = Number(value);
+  if (value === '' || !Number.isInteger(ms) || ms < 0 || ms > 600000) {
+    throw optionError(name, value, 'milliseconds, at most 600000');
+  }
+  return ms;
+}
+
+/*
+The PM2 options an app may set, each with a function that validates and normalizes
+a value. Everything else in the PM2 app definition - script, cwd, env, log files -
+stays under nlever's control. Times are in milliseconds.
+- kill_timeout: how long PM2 waits after SIGINT before it kills the process
+- wait_ready: the app isn't online until it calls process.send('ready')
+- listen_timeout: how long to wait for that ready signal
+- instances: a number or `max` runs the app in cluster mode, which `pm2 reload`
+  restarts one worker at a time
+- max_memory_restart: restart the app when it uses more than e.g. 512M
+- node_args: flags for node itself, e.g. --max-old-space-size=512
+- interpreter: what runs the entry point, e.g. bun or /usr/bin/node18
+- cron_restart: restart the app on a schedule, e.g. 0 4 * * *
+*/
+const PM2_OPTIONS = {
+  kill_timeout: parseMs,
+  listen_timeout: parseMs,
+  wait_ready: (value, name) => {
+    if (typeof value === 'boolean') return value;
+    if (['1', 'true', 'yes'].includes(value)) return true;
+    if (['0', 'false', 'no'].includes(value)) return false;
+    throw optionError(name, value, 'yes or no');
+  },
+  instances: (value, name) => {
+    if (value === 'max') return value;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > 64) {
+      throw optionError(name, value, '1 to 64, or max');
+    }
+    return count;
+  },
+  max_memory_restart: (value, name) => {
+    if (!/^\d+[KMG]?$/.test(String(value))) {
+      throw optionError(name, value, 'bytes, or a size like 300K, 512M or 1G');
+    }
+    return String(value);
+  },
+  node_args: (value, name) => {
+    const args = Array.isArray(value) ? value : String(value).split(/\s+/).filter(Boolean);
+    for (const arg of args) {
+      if (typeof arg !== 'string' || !/^--?[a-zA-Z][\w-]*(=\S+)?$/.test(arg)) {
+        throw optionError(name, arg, 'node flags like --max-old-space-size=512');
+      }
+    }
+    return args;
+  },
+  interpreter: (value, name) => {
+    if (typeof value !== 'string' || !/^[\w./-]+$/.test(value)) {
+      throw optionError(name, value, 'a command name or path');
+    }
+    return value;
+  },
+  cron_restart: (value, name) => {
+    if (typeof value !== 'string' || !/^[\d*/,-]+( [\d*/,-]+){4,5}$/.test(value.trim())) {
+      throw optionError(name, value, 'a cron expression like 0 4 * * *');
+    }
+    return value.trim();
+  }
+};
+
+/*
+Validate PM2 options from `source` (the push, or the "nlever" section of
+package.json). Unknown options are an error rather than silently dropped, except
+the `other` keys that are known to mean something else. Null when nothing is set.
+*/
+function parseProcessOptions(raw, source, other = []) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`PM2 options in ${source} must be an object`);
+  }
+  
+  const options = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (other.includes(name)) continue;
+    const validate = PM2_OPTIONS[name];
+    if (!validate) {
+      throw new Error(`Unsupported PM2 option ${sanitizeForLog(name)} in ${source}. Supported: ${Object.keys(PM2_OPTIONS).join(', ')}`);
+    }
+    if (value === null || value === '') continue;
+    options[name] = validate(value, name);
+  }
+  return Object.keys(options).length ? options : null;
+}
+
+// The PM2 options among a push's query parameters
+function getPushedProcessOptions(params) {
+  return parseProcessOptions(Object.fromEntries([...params].filter(([name]) => name in PM2_OPTIONS)), 'the push');
+}
+
+/*
+The hostnames an app claims in the proxy, from a deploy's comma-separated
+`hostnames` parameter. Requests whose Host header is one of them go to the app
+unprefixed, see handleProxyRequest().
+*/
+function parseHostnames(value) {
+  if (!value) return [];
+  const hostnames = [...new Set(value.split(',').map(hostname => hostname.trim().toLowerCase()).filter(Boolean))];
+  for (const hostname of hostnames) {
+    if (hostname.length > 253 || !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(hostname)) {
+      throw new Error(`Invalid hostname: ${sanitizeForLog(hostname).slice(0, 100)}`);
+    }
+  }
+  return hostnames;
+}
+
+// A hostname can only route to one app. Claimed for the caller until its deploy ends,
+// so two apps deploying at once can't both pass the check.
+function claimHostnames(appName, hostnames) {
+  for (const [other, entry] of Object.entries(apps)) {
+    const taken = other !== appName && hostnames.find(hostname => entry.hostnames?.includes(hostname));
+    if (taken) {
+      throw new Error(`Hostname ${taken} is already claimed by app ${other}`);
+    }
+  }
+  const pending = hostnames.find(hostname => claimedHostnames.has(hostname));
+  if (pending) {
+    throw new Error(`Hostname ${pending} is being claimed by app ${claimedHostnames.get(pending)}, which is deploying`);
+  }
+  hostnames.forEach(hostname => claimedHostnames.set(hostname, appName));
+}
+
+function findAppByHostname(hostHeader) {
+  const hostname = (hostHeader || '').toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+  return hostname ? Object.keys(apps).find(name => apps[name].hostnames?.includes(hostname)) : undefined;
+}
+
+/*
+Decode the X-Nlever-Release header the CLI sends with a push: base64-encoded JSON
+with whatever git could tell it about the source. Everything in it is optional and
+client-supplied, so only known fields survive, as bounded plain strings - this ends
+up in console output, the registry and `nlever status`.
+*/
+function parseReleaseMetadata(req) {
+  const header = req.headers['x-nlever-release'];
+  if (!header) return {};
+
+  let raw;
+  try {
+    raw = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch {
+    return {};
+  }
+
+  const metadata = {};
+  for (const key of ['commit', 'branch', 'message', 'pushedBy']) {
+    if (typeof raw[key] === 'string' && raw[key]) {
+      metadata[key] = sanitizeForLog(raw[key]).slice(0, 200);
+    }
+  }
+  if (typeof raw.dirty === 'boolean') {
+    metadata.dirty = raw.dirty;
+  }
+  return metadata;
+}
+
+async function readReleaseManifest(releasePath) {
+  try {
+    return JSON.parse(await fs.readFile(join(releasePath, RELEASE_MANIFEST), 'utf8'));
+  } catch {
+    return { id: basename(releasePath), deployedAt: Number(basename(releasePath)) };
+  }
+}
+
 function getAppPaths(appName, timestamp = null) {
   const base = join(BASE_DIR, appName);
   const paths = {
@@ -147,6 +459,266 @@ function persistProcessList() {
   }
 }
 
+function pm2ProcessExists(pm2Name) {
+  try {
+    execSync(`pm2 describe ${pm2Name}`, { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const appendQueues = new Map(); // file -> promise of the last append
+
+/*
+Append to a log file, rotating it first when the write would take it past
+`maxSize`: file -> file.1 -> file.2 ... up to file.<keep>, and the oldest is
+dropped. Appends to the same file are queued so a rotation can't interleave with
+another write. Failures are logged and swallowed - losing a log line must never
+fail the request it describes.
+*/
+function appendRotating(file, data, { maxSize, keep }) {
+  const previous = appendQueues.get(file) || Promise.resolve();
+  const next = previous.then(async () => {
+    try {
+      const { size } = await fs.stat(file);
+      if (size + Buffer.byteLength(data) > maxSize) {
+        await rotateFile(file, keep);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    await fs.appendFile(file, data);
+  }).catch(err => {
+    console.error(`Warning: could not write to ${file} -`, err.message);
+  }).finally(() => {
+    // Nothing queued behind it
+    if (appendQueues.get(file) === next) appendQueues.delete(file);
+  });
+  appendQueues.set(file, next);
+  return next;
+}
+
+async function rotateFile(file, keep) {
+  await fs.rm(`${file}.${keep}`, { force: true });
+  for (let i = keep - 1; i >= 1; i--) {
+    await fs.rename(`${file}.${i}`, `${file}.${i + 1}`).catch(() => {});
+  }
+  await fs.rename(file, `${file}.1`);
+}
+
+function getAuditFile() {
+  return join(BASE_DIR, '.nlever-audit.jsonl');
+}
+
+/*
+Record one API request in the audit log, once its response is done. Denied
+requests are recorded too: a burst of 401s is exactly what an audit log is for.
+*/
+function auditRequest(req, res, clientIP) {
+  const started = Date.now();
+  res.on('close', () => {
+    const [action = null, app = null] = req.url.split('?')[0].split('/').filter(Boolean);
+    let result = 'ok';
+    if ([401, 403, 429].includes(res.statusCode)) {
+      result = 'denied';
+    } else if (res.auditError || res.statusCode >= 400) {
+      result = 'error';
+    } else if (!res.writableFinished) {
+      result = 'aborted';
+    }
+
+    const entry = {
+      time: new Date(started).toISOString(),
+      ip: clientIP,
+      identity: req.identity?.name || null,
+      method: req.method,
+      action: action && sanitizeForLog(action).slice(0, 50),
+      app: app && sanitizeForLog(app).slice(0, 100),
+      status: res.statusCode,
+      result,
+      duration: Date.now() - started,
+      ...(res.auditError && { error: sanitizeForLog(res.auditError).slice(0, 500) })
+    };
+    appendRotating(getAuditFile(), JSON.stringify(entry) + '\n', { maxSize: AUDIT_MAX_SIZE, keep: AUDIT_KEEP });
+  });
+}
+
+function getAccessLogFile(appName) {
+  return join(getAppPaths(appName).base, ACCESS_LOG === 'json' ? 'access.jsonl' : 'access.log');
+}
+
+/*
+Access log lines go to one append stream per app, opened on its first request, not
+a stat and an append each: the size is counted as lines are written, and once it
+reaches ACCESS_LOG_MAX_SIZE the file is renamed away under the open stream (which
+finishes into file.1) and a new one opened. When the disk can't keep up and the
+stream's buffer is full, lines are dropped rather than held in memory.
+*/
+function writeAccessLog(appName, line) {
+  let log = accessLogs.get(appName);
+  if (!log) {
+    const file = getAccessLogFile(appName);
+    log = { file, size: 0, dropped: 0, rotating: false };
+    log.stream = openAccessLog(appName, log);
+    accessLogs.set(appName, log);
+    fs.stat(file).then(({ size }) => log.size += size, () => {});
+  }
+
+  if (log.stream.writableNeedDrain) {
+    if (log.dropped++ === 0) {
+      console.error(`Warning: ${log.file} can't keep up, dropping access log lines`);
+    }
+    return;
+  }
+  log.stream.write(line);
+  log.size += Buffer.byteLength(line);
+
+  if (log.size >= ACCESS_LOG_MAX_SIZE && !log.rotating) {
+    log.rotating = true;
+    rotateFile(log.file, ACCESS_LOG_KEEP).then(() => {
+      const previous = log.stream;
+      log.stream = openAccessLog(appName, log);
+      log.size = 0;
+      previous.end();
+    }).catch(err => {
+      console.error(`Warning: could not rotate ${log.file} -`, err.message);
+    }).finally(() => {
+      log.rotating = false;
+    });
+  }
+}
+
+function openAccessLog(appName, log) {
+  const stream = createWriteStream(log.file, { flags: 'a' });
+  stream.on('drain', () => {
+    if (log.dropped) {
+      console.error(`Warning: ${log.dropped} access log lines dropped from ${log.file}`);
+      log.dropped = 0;
+    }
+  });
+  stream.on('error', err => {
+    console.error(`Warning: could not write to ${log.file} -`, err.message);
+    // Opened afresh on the next request
+    if (accessLogs.get(appName)?.stream === stream) accessLogs.delete(appName);
+  });
+  return stream;
+}
+
+function closeAccessLog(appName) {
+  accessLogs.get(appName)?.stream.end();
+  accessLogs.delete(appName);
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// [19/Oct/2026:18:53:08 +0000], the time format of the combined log
+function formatLogTime(ms) {
+  const date = new Date(ms);
+  const pad = n => String(n).padStart(2, '0');
+  return `[${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000]`;
+}
+
+// A quoted combined log field that no request can break out of
+function quoteLogField(value) {
+  if (!value) return '"-"';
+  return `"${String(value).replace(/[\x00-\x1f\x7f]/g, '').replace(/["\\]/g, '\\$&')}"`;
+}
+
+/*
+Record one proxied request once its response is done: counted in the app's metrics
+and written to its access log. Upgraded connections (WebSockets) are recorded when
+they close, with the time they were open, and kept out of the latency percentiles.
+A request the client gave up on before the app answered is logged as 499.
+*/
+function recordAccess(appName, req, { started, status, bytes, upgrade = false }) {
+  const duration = Date.now() - started;
+
+  let counters = metrics.get(appName);
+  if (!counters) {
+    counters = { requests: 0, statuses: {}, bytes: 0, latencies: [], nextSample: 0, lastRequest: null };
+    metrics.set(appName, counters);
+  }
+  counters.requests++;
+  const statusClass = `${String(status)[0]}xx`;
+  counters.statuses[statusClass] = (counters.statuses[statusClass] || 0) + 1;
+  counters.bytes += bytes;
+  counters.lastRequest = started;
+  if (!upgrade) {
+    // A ring of the latest LATENCY_SAMPLES
+    counters.latencies[counters.nextSample] = duration;
+    counters.nextSample = (counters.nextSample + 1) % LATENCY_SAMPLES;
+  }
+
+  if (ACCESS_LOG === 'off') return;
+
+  const ip = getClientIP(req);
+  let line;
+  if (ACCESS_LOG === 'json') {
+    line = JSON.stringify({
+      time: new Date(started).toISOString(),
+      ip,
+      method: req.method,
+      path: req.url,
+      host: req.headers.host || null,
+      status,
+      bytes,
+      duration,
+      referer: req.headers.referer || null,
+      userAgent: req.headers['user-agent'] || null
+    });
+  } else {
+    // Apache/nginx combined, with the duration in ms added at the end
+    line = [
+      ip, '-', '-', formatLogTime(started),
+      quoteLogField(`${req.method} ${req.url} HTTP/${req.httpVersion}`),
+      status, bytes || '-',
+      quoteLogField(req.headers.referer), quoteLogField(req.headers['user-agent']),
+      duration
+    ].join(' ');
+  }
+  writeAccessLog(appName, line + '\n');
+}
+
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : null;
+}
+
+// An app's proxy traffic since the server started, for `nlever metrics`
+async function getMetrics(req, res, appName) {
+  const safeAppName = sanitizeAppName(appName);
+  if (!apps[safeAppName]) {
+    sendError(res, 404, 'App not found');
+    return;
+  }
+
+  const counters = metrics.get(safeAppName);
+  const latencies = counters ? [...counters.latencies].sort((a, b) => a - b) : [];
+  const port = apps[safeAppName].port;
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    name: safeAppName,
+    proxy: PROXY_MODE,
+    since: serverStarted,
+    requests: counters?.requests || 0,
+    open: port ? inFlight.get(port) || 0 : 0,
+    statuses: counters?.statuses || {},
+    bytes: counters?.bytes || 0,
+    lastRequest: counters?.lastRequest || null,
+    latency: {
+      samples: latencies.length,
+      p50: percentile(latencies, 0.5),
+      p90: percentile(latencies, 0.9),
+      p95: percentile(latencies, 0.95),
+      p99: percentile(latencies, 0.99),
+      max: latencies.length ? latencies[latencies.length - 1] : null
+    },
+    accessLog: ACCESS_LOG === 'off' ? null : { format: ACCESS_LOG, file: getAccessLogFile(safeAppName) }
+  }));
+}
+
 function getPM2ProcessInfo(pm2Name) {
   try {
     const output = execSync('pm2 jlist', { encoding: 'utf8' });
@@ -196,8 +768,10 @@ async function acquireLock(appName) {
       if (e.code !== 'ENOENT') throw e;
     }
     
-    await fs.writeFile(paths.lock, Date.now().toString());
+    // wx: of two requests getting this far at once, only one creates the lock
+    await fs.writeFile(paths.lock, Date.now().toString(), { flag: 'wx' });
   } catch (error) {
+    if (error.code === 'EEXIST') throw new Error('Deployment already in progress');
     throw error;
   }
 }
@@ -209,320 +783,2158 @@ async function releaseLock(appName) {
   } catch {}
 }
 
-function getAppPort(appName) {
-  if (!PROXY_MODE) return 8080; // Default port when not in proxy mode
-  
-  if (apps[appName]?.port) {
-    return apps[appName].port;
+async function readLinkTarget(linkPath) {
+  try {
+    return await fs.readlink(linkPath);
+  } catch {
+    return null;
   }
-  
-  // Simple port allocation starting from 3001
-  const usedPorts = Object.values(apps).map(app => app.port).filter(Boolean);
-  let port = 3001;
-  while (usedPorts.includes(port)) port++;
-  return port;
 }
 
-async function deploy(req, res, appName) {
-  let rollbackNeeded = false;
-  let previousLink = null;
-  const safeAppName = sanitizeAppName(appName);
-  
+/*
+Unlinking and re-creating the link leaves a moment where `current` doesn't exist,
+and PM2 restarting in that moment fails. Instead the new link is made under a temp
+name and renamed over the old one, which replaces it in a single step.
+*/
+async function setSymlink(linkPath, target) {
+  const tempLink = `${linkPath}.${randomBytes(4).toString('hex')}.tmp`;
+  await fs.symlink(target, tempLink);
   try {
-    await acquireLock(safeAppName);
-    
-    const url = new URL(`http://localhost${req.url}`);
-    const healthCheck = url.searchParams.get('health_check');
-    
-    const assignedPort = PROXY_MODE ? getAppPort(safeAppName) : null;
-    
-    const timestamp = Date.now();
-    const paths = getAppPaths(safeAppName, timestamp);
-    previousLink = paths.previous;
-    
-    await fs.mkdir(paths.release, { recursive: true });
-    
-    const tempFile = join(tmpdir(), `nlever-${appName}-${timestamp}.tar.gz`);
-    
-    const fileStream = createWriteStream(tempFile);
-    await pipeline(req, fileStream);
-
-    await new Promise((resolve, reject) => {
-      const extract = spawn('tar', ['-xzf', tempFile, '-C', paths.release], {
-        timeout: 60000
-      });
-      extract.on('close', code => code === 0 ? resolve() : reject(new Error(`tar failed: ${code}`)));
-      extract.on('error', reject);
-    });
-
-    await fs.unlink(tempFile);
-    
-    const extractedFiles = await fs.readdir(paths.release);
-    console.log(`Extracted files to ${sanitizeForLog(paths.release)}:`, extractedFiles.slice(0, 10).map(sanitizeForLog));
+    await fs.rename(tempLink, linkPath);
+  } catch (err) {
+    await fs.unlink(tempLink).catch(() => {});
+    throw err;
+  }
+}
 
-    let currentTarget = null;
-    try {
-      currentTarget = await fs.readlink(paths.current);
-    } catch {}
+// Newest first. Anything that isn't a release id (stray files, half-written temp
+// dirs) is ignored rather than listed or cleaned up.
+async function listReleaseIds(paths) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(paths.releases);
+  } catch {}
+  return entries.filter(id => /^\d+$/.test(id)).sort((a, b) => Number(b) - Number(a));
+}
 
-    if (currentTarget) {
+async function getDirectorySize(dir) {
+  let total = 0;
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const entry of entries) {
+    const entryPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else {
       try {
-        await fs.unlink(paths.previous);
+        total += (await fs.lstat(entryPath)).size;
       } catch {}
-      await fs.symlink(currentTarget, paths.previous);
     }
+  }
+  return total;
+}
 
-    try {
-      await fs.unlink(paths.current);
-    } catch {}
-    await fs.symlink(paths.release, paths.current);
+/*
+Delete releases beyond the retention count, newest kept first.
 
-    const packageJsonPath = join(paths.release, 'package.json');
-    
-    const pm2Env = {
-      PATH: process.env.PATH,
-      HOME: process.env.HOME,
-      USER: process.env.USER,
-      NODE_ENV: process.env.NODE_ENV || 'production',
-      LANG: process.env.LANG || 'en_US.UTF-8'
-    };
-    
-    if (PROXY_MODE) {
-      pm2Env.PORT = assignedPort.toString();
+Whatever `current` and `previous` point at is never deleted, even when it falls
+outside the count - a rollback to an older release followed by a deploy would
+otherwise remove the release that was live a moment ago. With a retention of 1
+`previous` has nothing left to point at, so the link is removed rather than left
+dangling.
+*/
+async function cleanupReleases(paths, keep, standby) {
+  const currentTarget = await readLinkTarget(paths.current);
+  const previousTarget = await readLinkTarget(paths.previous);
+  const ids = await listReleaseIds(paths);
+  const kept = new Set(ids.slice(0, keep));
+  if (currentTarget) kept.add(basename(currentTarget));
+  // A warm standby runs from its release directory, whatever `keep` says
+  if (standby?.release?.id) kept.add(standby.release.id);
+  if (keep > 1 && previousTarget) kept.add(basename(previousTarget));
+
+  for (const id of ids) {
+    if (!kept.has(id)) {
+      await fs.rm(join(paths.releases, id), { recursive: true, force: true });
     }
+  }
 
-    let pm2Config = {
-      name: `nlever-${safeAppName}`,
-      cwd: paths.current,
-      env: pm2Env
-    };
-    
+  if (previousTarget && !kept.has(basename(previousTarget))) {
     try {
-      const pkg = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
-      console.log(`Found package.json for ${sanitizeForLog(safeAppName)}:`, JSON.stringify({
-        name: pkg.name,
-        main: pkg.main,
-        scripts: pkg.scripts
-      }, null, 2));
-      
-      if (pkg.scripts?.start) {
-        pm2Config.script = 'npm';
-        pm2Config.args = ['run', 'start'];
-        console.log(`Using npm run start for ${sanitizeForLog(safeAppName)}`);
-      } else if (pkg.main) {
-        pm2Config.script = pkg.main;
-        console.log(`Using main entry point: ${sanitizeForLog(pkg.main)} for ${sanitizeForLog(safeAppName)}`);
-      } else {
-        pm2Config.script = 'index.js';
-        console.log(`Using default index.js for ${sanitizeForLog(safeAppName)}`);
-      }
-    } catch (err) {
-      console.log(`No package.json found for ${sanitizeForLog(safeAppName)}, using default index.js. Error:`, sanitizeForLog(err.message));
-      pm2Config.script = 'index.js';
-    }
+      await fs.unlink(paths.previous);
+    } catch {}
+  }
+}
 
-    // Install dependencies
-    try {
-      await fs.access(packageJsonPath);
-      console.log(`Installing dependencies for ${sanitizeForLog(safeAppName)}...`);
-      
-      let installCmd = 'npm install';
-      try {
-        await fs.access(join(paths.release, 'yarn.lock'));
-        installCmd = 'yarn install --frozen-lockfile';
-        console.log('Found yarn.lock, using yarn');
-      } catch {
-        console.log('Using npm install');
-      }
-      
-      execSync(installCmd, { 
-        cwd: paths.release, 
-        timeout: 300000,
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-      console.log(`Dependencies installed successfully for ${sanitizeForLog(safeAppName)}`);
-    } catch (err) {
-      console.log(`Skipping dependency installation for ${sanitizeForLog(safeAppName)}:`, sanitizeForLog(err.message));
-    }
+function parsePort(value) {
+  const port = Number(value);
+  return Number.isInteger(port) && port >= 1 && port <= 65535 ? port : null;
+}
 
-    try {
-      execSync(`pm2 describe nlever-${safeAppName}`, { stdio: 'ignore' });
-      console.log(`Restarting existing PM2 app: nlever-${sanitizeForLog(safeAppName)}`);
-      execSync(`pm2 restart nlever-${safeAppName} --update-env`, { timeout: 30000 });
-      persistProcessList();
-    } catch {
-      console.log(`Starting new PM2 app nlever-${sanitizeForLog(safeAppName)} with config:`, JSON.stringify(pm2Config, null, 2));
-      await fs.writeFile(paths.pm2Config, JSON.stringify({ apps: [pm2Config] }, null, 2));
-      
-      try {
-        const result = execSync(`pm2 start ${paths.pm2Config}`, { timeout: 30000, encoding: 'utf8' });
-        console.log(`PM2 start output:`, sanitizeForLog(result));
-        persistProcessList();
-      } catch (e) {
-        console.error(`PM2 start failed for nlever-${sanitizeForLog(safeAppName)}:`, e.message);
-        if (e.stdout) console.error('Stdout:', sanitizeForLog(e.stdout.toString()));
-        if (e.stderr) console.error('Stderr:', sanitizeForLog(e.stderr.toString()));
-        throw new Error(`PM2 start failed: ${e.message}`);
-      }
-    }
+// "first-last", e.g. 3001-3999
+function parsePortRange(value) {
+  const match = /^(\d+)-(\d+)$/.exec((value || '').trim());
+  const [first, last] = match ? [parsePort(match[1]), parsePort(match[2])] : [];
+  return first && last && first <= last ? [first, last] : null;
+}
 
-    await new Promise(resolve => setTimeout(resolve, 2000));
+// The port the app's live process listens on. Null for apps last deployed outside
+// proxy mode before nlever assigned ports there: those pick their own.
+function getAppPort(appName) {
+  return apps[appName]?.port || null;
+}
+
+// The app whose process, live or standby, has the port
+function findPortOwner(port, exceptApp) {
+  const owner = Object.entries(apps).find(([name, app]) =>
+    name !== exceptApp && (app.port === port || app.standby?.port === port)
+  );
+  return owner ? owner[0] : null;
+}
+
+// Whether the port can't be listened on: something (nlever itself included) has it
+function isPortInUse(port) {
+  return new Promise(resolve => {
+    const probe = createNetServer();
+    probe.once('error', () => resolve(true));
+    probe.once('listening', () => probe.close(() => resolve(false)));
+    probe.listen(port);
+  });
+}
+
+// The first port of NLEVER_PORT_RANGE no app has, no other deploy is about to take
+// and nothing listens on. Reserved for the caller, see reservedPorts.
+async function reserveSparePort() {
+  const [first, last] = PORT_RANGE;
+  for (let port = first; port <= last; port++) {
+    if (findPortOwner(port) || reservedPorts.has(port)) continue;
+    // Checked again after the probe: another deploy may have taken it meanwhile
+    if (!(await isPortInUse(port)) && !reservedPorts.has(port) && !findPortOwner(port)) {
+      reservedPorts.add(port);
+      return port;
+    }
+  }
+  throw new Error(`No free port left in NLEVER_PORT_RANGE (${first}-${last})`);
+}
+
+/*
+Outside proxy mode an app is reached on its own port, so that port has to stay put
+from one deploy to the next: the one the client asks for (NLEVER_PORT), else the one
+the app already has, else a spare one. An app deployed before nlever assigned ports
+here has none, and picks its own: it keeps doing so (null, no PORT) until NLEVER_PORT
+gives it one, since a port out of the blue would move it. A port another app has, or
+that something else listens on, fails the deploy before anything changes. Reserved
+until the deploy ends, like a blue/green process's.
+*/
+async function reserveAppPort(appName, requested) {
+  const current = getAppPort(appName);
+  if (!requested) {
+    if (current) {
+      reservedPorts.add(current);
+      return current;
+    }
+    return apps[appName] ? null : reserveSparePort();
+  }
+
+  const port = parsePort(requested);
+  if (!port) {
+    throw new Error(`Invalid port "${requested}"`);
+  }
+  const owner = findPortOwner(port, appName);
+  if (owner) {
+    throw new Error(`Port ${port} is already used by app ${owner}`);
+  }
+  // The app's own process is listening on its current port, of course
+  if (port !== current && await isPortInUse(port)) {
+    throw new Error(`Port ${port} is already in use on the server`);
+  }
+  if (port !== current && reservedPorts.has(port)) {
+    throw new Error(`Port ${port} is being taken by another deploy`);
+  }
+  reservedPorts.add(port);
+  return port;
+}
+
+// The live process. Apps deployed before blue/green, or outside proxy mode, have the
+// one process named after the app.
+function getPM2Name(appName) {
+  return apps[appName]?.pm2Name || `nlever-${appName}`;
+}
+
+function getPM2ConfigFile(appName, color) {
+  const paths = getAppPaths(appName);
+  return color ? join(paths.base, `pm2.${color}.config.json`) : paths.pm2Config;
+}
+
+/*
+Restart a process in place, by name or through its config file. `options` are the
+app's process options. The graceful path is `pm2 reload`: in cluster mode PM2
+replaces the workers one at a time, each waiting for its successor to be ready, so
+the app keeps serving throughout; in fork mode it amounts to a restart. Either way
+PM2 sends SIGINT and waits kill_timeout, so the timeout leaves room for the app's
+own shutdown and startup. Deploys and rollbacks reload whenever the app is clustered.
+Run asynchronously, since a reload can take minutes and the proxy keeps serving
+meanwhile.
+*/
+async function restartProcess(target, options = {}, graceful = Boolean(options.instances)) {
+  await runCommand(`pm2 ${graceful ? 'reload' : 'restart'} ${target} --update-env`, { timeout: getPM2Timeout(options) });
+}
+
+function getPM2Timeout(options = {}) {
+  const workers = options.instances === 'max' ? cpus().length : options.instances || 1;
+  return 30000 + workers * ((options.kill_timeout || 0) + (options.wait_ready ? options.listen_timeout || 3000 : 0));
+}
+
+/*
+Write `pm2Config` to `configFile` and bring the process in line with it. A restart
+only refreshes the environment: PM2 keeps running the definition it already has, so
+a new instance count, memory limit, node args or entry point would be silently
+ignored. Unless the env is all that changed, the process is deleted and started
+fresh instead. Returns 'started', 'replaced' or 'restarted'.
+*/
+async function applyPM2Config(configFile, pm2Config) {
+  const previous = await readPM2Config(configFile);
+  await writePM2Config(configFile, pm2Config);
+  
+  // Asynchronously, like restartProcess(): starting a clustered app waits for every worker
+  let action = 'restarted';
+  if (!pm2ProcessExists(pm2Config.name)) {
+    await runCommand(`pm2 start ${configFile}`, { timeout: getPM2Timeout(pm2Config) });
+    action = 'started';
+  } else if (!previous || definitionChanged(previous, pm2Config)) {
+    await runCommand(`pm2 delete ${pm2Config.name}`, { timeout: getPM2Timeout(previous || {}) });
+    await runCommand(`pm2 start ${configFile}`, { timeout: getPM2Timeout(pm2Config) });
+    action = 'replaced';
+  } else {
+    await restartProcess(configFile, pm2Config);
+  }
+  persistProcessList();
+  return action;
+}
+
+function definitionChanged(previous, next) {
+  const { env: previousEnv, ...previousDefinition } = previous;
+  const { env: nextEnv, ...nextDefinition } = next;
+  const normalize = definition => JSON.stringify(Object.entries(definition).sort(([a], [b]) => a.localeCompare(b)));
+  return normalize(previousDefinition) !== normalize(nextDefinition);
+}
+
+/*
+Blue/green in proxy mode. A deploy (or a rollback to a release that isn't warm)
+starts the release as a second process, named for the colour the live one isn't,
+on a port nothing else uses. The proxy reads `apps[app].port` on every request, so
+once the new process is healthy, pointing the registry at it moves all new traffic
+over in one step. The old process becomes the app's `standby`: it finishes the
+requests it already has, stays warm for NLEVER_WARM_STANDBY seconds so a rollback
+is just the same flip back, and is then deleted.
+*/
+async function planNextProcess(appName) {
+  const color = apps[appName]?.color === 'blue' ? 'green' : 'blue';
+  const port = await reserveSparePort();
+  return { color, pm2Name: `nlever-${appName}.${color}`, port };
+}
+
+async function startNextProcess(appName, next, pm2Config, releaseDir) {
+  // The standby has the colour we are about to use, so it goes first
+  await retireStandby(appName);
+
+  // Left over from a deploy that died half way
+  if (pm2ProcessExists(next.pm2Name)) {
+    await deleteColorProcess(appName, next);
+  }
+
+  const configFile = getPM2ConfigFile(appName, next.color);
+  await writePM2Config(configFile, { ...pm2Config, name: next.pm2Name, cwd: releaseDir });
+
+  // Asynchronously, like restartProcess(): the proxy keeps serving the live colour
+  try {
+    await runCommand(`pm2 start ${configFile}`, { timeout: getPM2Timeout(pm2Config) });
+  } catch (e) {
+    throw commandError('PM2 start failed', e);
+  }
+  persistProcessList();
+}
+
+// Delete one of an app's colours without blocking, allowing for the kill_timeout of
+// the config it was started with
+async function deleteColorProcess(appName, { pm2Name, color }) {
+  const pm2Config = await readPM2Config(getPM2ConfigFile(appName, color));
+  await runCommand(`pm2 delete ${pm2Name}`, { timeout: getPM2Timeout(pm2Config || {}) });
+}
+
+function waitForPort(port, timeout = 30000) {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve, reject) => {
+    const attempt = () => {
+      const socket = connect(port, 'localhost');
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve();
+      });
+      socket.once('error', () => {
+        socket.destroy();
+        if (Date.now() > deadline) {
+          reject(new Error(`Nothing is listening on port ${port} after ${Math.round(timeout / 1000)}s`));
+        } else {
+          setTimeout(attempt, 500);
+        }
+      });
+    };
+    attempt();
+  });
+}
+
+async function drainPort(port, timeout = DRAIN_TIMEOUT) {
+  const deadline = Date.now() + timeout;
+  while ((inFlight.get(port) || 0) > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+/*
+Make `entry` the live registry entry. If it replaces a different, still running
+process, that one becomes the standby and is retired later.
+*/
+async function switchTraffic(appName, entry) {
+  const live = apps[appName];
+  const liveName = getPM2Name(appName);
+
+  if (live?.port && liveName !== entry.pm2Name && pm2ProcessExists(liveName)) {
+    entry.standby = {
+      pm2Name: liveName,
+      color: live.color,
+      port: live.port,
+      release: live.release,
+      retireAt: Date.now() + WARM_STANDBY
+    };
+  }
+  apps[appName] = entry;
+  await saveRegistry();
+
+  if (entry.standby) {
+    scheduleRetire(appName);
+  }
+}
+
+function scheduleRetire(appName) {
+  clearTimeout(retireTimers.get(appName));
+  const standby = apps[appName]?.standby;
+  if (!standby) return;
+
+  const timer = setTimeout(() => {
+    retireStandby(appName).catch(err => {
+      console.error(`Could not retire standby of ${sanitizeForLog(appName)}: ${sanitizeForLog(err.message)}`);
+    });
+  }, Math.max(standby.retireAt - Date.now(), 0));
+  timer.unref();
+  retireTimers.set(appName, timer);
+}
+
+async function retireStandby(appName) {
+  clearTimeout(retireTimers.get(appName));
+  retireTimers.delete(appName);
+  const standby = apps[appName]?.standby;
+  if (!standby) return;
+
+  await drainPort(standby.port);
+  // A rollback may have made it live again while it drained
+  if (apps[appName]?.standby !== standby) return;
+
+  // Out of the registry before the delete, so a rollback can't pick it meanwhile
+  delete apps[appName].standby;
+  await saveRegistry();
+  try {
+    await deleteColorProcess(appName, standby);
+    persistProcessList();
+  } catch {}
+  console.log(`Retired ${sanitizeForLog(standby.pm2Name)} (port ${standby.port})`);
+}
+
+/*
+Progress reporting for a deploy.
+
+A client that sends `Accept: application/x-ndjson` gets the deploy as it happens, one
+JSON event per line: `phase` events when a phase starts and finishes, `log` lines,
+`output` lines from commands like npm install, and a final `result`. Anything else
+gets the single JSON response deploys have always returned. Either way every log
+line also goes to the server console, as before.
+
+Once streaming has started the status code is already 200, so a failure is reported
+in the `result` event, with the phase it happened in and the command output that
+explains it.
+*/
+function createDeployReporter(req, res, appName) {
+  const streaming = (req.headers.accept || '').includes('application/x-ndjson');
+  const started = Date.now();
+  let currentPhase = null;
+  let phaseStarted = 0;
+
+  function send(event) {
+    if (!streaming || res.writableEnded) return;
+    if (!res.headersSent) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+    }
+    res.write(JSON.stringify(event) + '\n');
+  }
+
+  function endPhase(status) {
+    if (!currentPhase) return;
+    send({ type: 'phase', phase: currentPhase, status, duration: Date.now() - phaseStarted });
+    currentPhase = null;
+  }
+
+  return {
+    phase(name, message) {
+      endPhase('done');
+      currentPhase = name;
+      phaseStarted = Date.now();
+      console.log(`[${sanitizeForLog(appName)}] ${message}`);
+      send({ type: 'phase', phase: name, status: 'start', message });
+    },
+
+    log(message) {
+      console.log(`[${sanitizeForLog(appName)}] ${sanitizeForLog(message)}`);
+      send({ type: 'log', phase: currentPhase, message });
+    },
+
+    output(stream, text) {
+      for (const line of text.split('\n')) {
+        if (line.trim()) {
+          send({ type: 'output', phase: currentPhase, stream, line: sanitizeForLog(line) });
+        }
+      }
+    },
+
+    succeed(result) {
+      endPhase('done');
+      if (streaming) {
+        send({ type: 'result', success: true, duration: Date.now() - started, ...result });
+        res.end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, ...result }));
+      }
+    },
+
+    fail(error) {
+      const phase = currentPhase;
+      endPhase('failed');
+      console.error(`[${sanitizeForLog(appName)}] Deployment failed${phase ? ` during ${phase}` : ''}:`, sanitizeForLog(error.message));
+      res.auditError = `${phase ? `${phase}: ` : ''}${error.message}`;
+      const failure = { error: error.message, phase, ...(error.output && { output: error.output }) };
+      if (streaming && res.headersSent) {
+        send({ type: 'result', success: false, duration: Date.now() - started, ...failure });
+        res.end();
+      } else if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(failure));
+      }
+    }
+  };
+}
+
+// The tail of a command's output is what explains a failure; the whole of an npm
+// install log is not worth holding on to.
+const MAX_CAPTURED_OUTPUT = 16384;
+
+/*
+Run a shell command without blocking the server, passing its output to `onOutput`
+as it arrives. Rejects on a non-zero exit or a timeout, with the captured output
+(stderr, or stdout when a tool writes its errors there) on `error.output`. Only the
+last `maxOutput` characters of each stream are kept.
+*/
+function runCommand(command, { cwd, env, timeout = 300000, onOutput, maxOutput = MAX_CAPTURED_OUTPUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      cwd,
+      env: env || process.env,
+      shell: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const capture = (captured, chunk) => (captured + chunk).slice(-maxOutput);
+    child.stdout.on('data', chunk => {
+      stdout = capture(stdout, chunk);
+      if (onOutput) onOutput('stdout', chunk.toString());
+    });
+    child.stderr.on('data', chunk => {
+      stderr = capture(stderr, chunk);
+      if (onOutput) onOutput('stderr', chunk.toString());
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeout);
+
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0 && !timedOut) {
+        resolve({ stdout, stderr });
+        return;
+      }
+      const error = new Error(timedOut
+        ? `${command} timed out after ${Math.round(timeout / 1000)}s`
+        : `${command} exited with code ${code}`);
+      error.output = (stderr.trim() ? stderr : stdout).trim();
+      reject(error);
+    });
+  });
+}
+
+// `pm2 jlist`, without blocking. It carries the env of every process, so its output
+// isn't cut short like other commands'.
+async function listPM2Processes() {
+  const { stdout } = await runCommand('pm2 jlist', { timeout: 30000, maxOutput: 64 * 1024 * 1024 });
+  return JSON.parse(stdout);
+}
+
+function commandError(message, err) {
+  const error = new Error(`${message}: ${err.message}`);
+  const output = [err.stderr, err.stdout, err.output].filter(Boolean).map(String).join('\n').trim();
+  if (output) error.output = output.slice(-MAX_CAPTURED_OUTPUT);
+  return error;
+}
+
+/*
+Server-side env vars for an app, managed with `nlever env`. They live outside the
+release directories, so they survive deploys, rollbacks and cleanup, in a directory
+only the server user can read.
+*/
+function getAppEnvFile(appName) {
+  return join(BASE_DIR, '.nlever-env', `${appName}.json`);
+}
+
+async function loadAppEnv(appName) {
+  try {
+    return Object.assign(Object.create(null), JSON.parse(await fs.readFile(getAppEnvFile(appName), 'utf8')));
+  } catch {
+    return Object.create(null);
+  }
+}
+
+async function saveAppEnv(appName, vars) {
+  const file = getAppEnvFile(appName);
+  await fs.mkdir(join(BASE_DIR, '.nlever-env'), { recursive: true, mode: 0o700 });
+  // Written to a temp file and renamed, so a crash can't leave half a file behind;
+  // the mode is set at creation, so the values are never readable by anyone else.
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(vars, null, 2), { mode: 0o600 });
+  await fs.rename(tempFile, file);
+}
+
+function maskEnvValue(value) {
+  return value.length >= 12 ? `${value.slice(0, 2)}${'*'.repeat(8)}` : '*'.repeat(8);
+}
+
+async function readJsonBody(req, limit = 1024 * 1024) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > limit) {
+      throw new Error('Request body too large');
+    }
+  }
+  try {
+    return JSON.parse(body || '{}');
+  } catch {
+    throw new Error('Invalid JSON body');
+  }
+}
+
+/*
+The environment an app runs in: a minimal base, then the app's stored env vars, then
+the assigned port, so a stored PORT can't point the proxy at the wrong place. The
+server's own environment is deliberately not passed on - it holds the auth token.
+*/
+async function buildAppEnv(appName, port) {
+  const env = {
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    USER: process.env.USER,
+    NODE_ENV: process.env.NODE_ENV || 'production',
+    LANG: process.env.LANG || 'en_US.UTF-8',
+    ...(await loadAppEnv(appName))
+  };
+  
+  if (port) {
+    env.PORT = port.toString();
+  }
+  return env;
+}
+
+async function readPackageJson(dir) {
+  return JSON.parse(await fs.readFile(join(dir, 'package.json'), 'utf8'));
+}
+
+/*
+The PM2 app definition for a release. PM2 options come from the "nlever" section of
+the release's package.json, overridden by `options` from the client: by default the
+ones sent with the app's last deploy, see getPushedProcessOptions(). Invalid options
+throw, failing the deploy before anything changes.
+*/
+async function buildPM2Config(appName, releaseDir, port, log = console.log, options = apps[appName]?.process) {
+  const pm2Config = {
+    name: `nlever-${appName}`,
+    cwd: getAppPaths(appName).current,
+    env: await buildAppEnv(appName, port),
+    // Timestamped log lines, so `nlever logs --since` has something to go on
+    time: true
+  };
+  
+  let pkg = null;
+  try {
+    pkg = await readPackageJson(releaseDir);
+    console.log(`Found package.json for ${sanitizeForLog(appName)}:`, JSON.stringify({
+      name: pkg.name,
+      main: pkg.main,
+      scripts: pkg.scripts
+    }, null, 2));
+  } catch (err) {
+    log(`No usable package.json (${err.message}), using default index.js`);
+  }
+  
+  // Next to the PM2 options the section may declare hooks, see HOOKS
+  const runtime = {
+    ...(pkg?.nlever !== undefined && parseProcessOptions(pkg.nlever, 'package.json "nlever"', ['hooks'])),
+    ...options
+  };
+  Object.assign(pm2Config, runtime);
+  if (runtime.instances) {
+    pm2Config.exec_mode = 'cluster';
+  }
+  
+  // PM2 can only cluster a node script, not npm
+  if (pkg?.scripts?.start && !(runtime.instances && pkg.main)) {
+    pm2Config.script = 'npm';
+    pm2Config.args = ['run', 'start'];
+    log('Using npm run start');
+  } else if (pkg?.main) {
+    pm2Config.script = pkg.main;
+    log(`Using main entry point: ${pkg.main}`);
+  } else {
+    pm2Config.script = 'index.js';
+    if (pkg) log('Using default index.js');
+  }
+  
+  if (Object.keys(runtime).length) {
+    log(`PM2 options: ${Object.entries(runtime).map(([name, value]) => `${name}=${[].concat(value).join(' ')}`).join(', ')}`);
+  }
+
+  return pm2Config;
+}
+
+async function readPM2Config(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8')).apps[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+// 0600 like the env store: the config carries the app's secrets in its env block
+async function writePM2Config(file, pm2Config) {
+  await fs.writeFile(file, JSON.stringify({ apps: [pm2Config] }, null, 2), { mode: 0o600 });
+  await fs.chmod(file, 0o600);
+}
+
+/*
+Last checks on a fully prepared release, while the old one is still live: the entry
+point PM2 is going to run has to exist, and plain JS entry points have to at least
+parse. Catches the classic "forgot to commit the file" and "build output went
+somewhere else" deploys before they cost any downtime.
+*/
+async function preflightRelease(releaseDir, pm2Config, log = console.log) {
+  if (pm2Config.script === 'npm' && pm2Config.exec_mode === 'cluster') {
+    throw new Error('Cluster mode needs a node entry point: set "main" in package.json, PM2 can\'t cluster npm run start');
+  }
+  if (pm2Config.script === 'npm') {
+    log('Entry point: npm run start');
+    return;
+  }
+
+  const entry = join(releaseDir, pm2Config.script);
+  try {
+    await fs.access(entry);
+  } catch {
+    throw new Error(`Entry point ${pm2Config.script} not found in release`);
+  }
+
+  if (/\.(c|m)?js$/.test(entry)) {
+    try {
+      await runCommand(`node --check ${JSON.stringify(entry)}`, { cwd: releaseDir, timeout: 30000 });
+    } catch (err) {
+      const error = new Error(`Entry point ${pm2Config.script} does not parse`);
+      error.output = err.output;
+      throw error;
+    }
+  }
+  log(`Entry point: ${pm2Config.script}`);
+}
+
+/*
+A tar reader, so the server doesn't depend on the system tar. Reads ustar, pax and
+GNU long names, which covers archives from this CLI and from GNU or BSD tar.
+
+The archive comes from the network, so it is not trusted: absolute paths, `..`
+components and hardlinks or symlinks that point outside the release directory are
+rejected. Symlinks are only created once everything else is written, so no entry
+can be written through one.
+*/
+function parseTarHeader(block) {
+  const str = (start, length) => {
+    const field = block.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf8');
+  };
+  const num = (start, length) => {
+    // GNU tar switches to base-256 for values that don't fit in octal
+    if (block[start] & 0x80) {
+      let value = 0;
+      for (let i = start + 1; i < start + length; i++) value = value * 256 + block[i];
+      return value;
+    }
+    return parseInt(str(start, length).trim() || '0', 8);
+  };
+
+  let sum = 0;
+  for (let i = 0; i < 512; i++) {
+    sum += i >= 148 && i < 156 ? 32 : block[i];
+  }
+  if (sum !== num(148, 8)) {
+    throw new Error('Invalid archive: bad tar header checksum');
+  }
+
+  // Only POSIX ustar has a name prefix; the old GNU format keeps other things there
+  const prefix = str(257, 6) === 'ustar' ? str(345, 155) : '';
+  return {
+    name: prefix ? `${prefix}/${str(0, 100)}` : str(0, 100),
+    mode: num(100, 8),
+    size: num(124, 12),
+    type: String.fromCharCode(block[156]),
+    linkname: str(157, 100)
+  };
+}
+
+function parsePaxRecords(data) {
+  const records = {};
+  let pos = 0;
+  while (pos < data.length) {
+    const space = data.indexOf(0x20, pos);
+    const length = parseInt(data.subarray(pos, space).toString(), 10);
+    if (space === -1 || !length) break;
+    const record = data.subarray(space + 1, pos + length - 1).toString('utf8');
+    const eq = record.indexOf('=');
+    records[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += length;
+  }
+  return records;
+}
+
+function isInside(root, path) {
+  return path === root || path.startsWith(root + sep);
+}
+
+function archivePath(root, name) {
+  if (name.startsWith('/') || name.split('/').includes('..')) {
+    throw new Error(`Invalid archive: unsafe path ${sanitizeForLog(name)}`);
+  }
+  const path = resolve(root, name);
+  if (!isInside(root, path)) {
+    throw new Error(`Invalid archive: unsafe path ${sanitizeForLog(name)}`);
+  }
+  return path;
+}
+
+async function extractTar(source, destDir) {
+  const root = resolve(destDir);
+  const symlinks = [];
+  let pending = Buffer.alloc(0);
+  let entry = null; // the entry whose data is being read
+  let overrides = {}; // path/linkpath/size for the next entry, from pax or GNU headers
+  let ended = false;
+
+  const startEntry = async block => {
+    const header = parseTarHeader(block);
+    const size = overrides.size ?? header.size;
+    const pad = (512 - (size % 512)) % 512;
+
+    if (['x', 'g', 'L', 'K'].includes(header.type)) {
+      if (size > 1024 * 1024) throw new Error('Invalid archive: oversized extended header');
+      return { type: header.type, left: size, pad, chunks: [] };
+    }
+
+    const name = overrides.path ?? header.name;
+    const linkname = overrides.linkpath ?? header.linkname;
+    overrides = {};
+    const dest = archivePath(root, name);
+    const mode = header.mode & 0o777;
+
+    if (header.type === '0' || header.type === '\0' || header.type === '7') {
+      if (dest === root) throw new Error(`Invalid archive: unsafe path ${sanitizeForLog(name)}`);
+      await fs.mkdir(dirname(dest), { recursive: true });
+      await fs.rm(dest, { force: true });
+      return { left: size, pad, handle: await fs.open(dest, 'w'), dest, mode };
+    }
+
+    if (header.type === '5') {
+      await fs.mkdir(dest, { recursive: true });
+      if (mode) await fs.chmod(dest, mode | 0o700);
+    } else if (header.type === '2') {
+      if (!isInside(root, resolve(dirname(dest), linkname))) {
+        throw new Error(`Invalid archive: symlink ${sanitizeForLog(name)} points outside the release`);
+      }
+      symlinks.push({ dest, linkname });
+    } else if (header.type === '1') {
+      const target = archivePath(root, linkname);
+      await fs.mkdir(dirname(dest), { recursive: true });
+      await fs.rm(dest, { force: true });
+      await fs.link(target, dest);
+    } else {
+      throw new Error(`Invalid archive: unsupported entry type for ${sanitizeForLog(name)}`);
+    }
+    return { left: size, pad };
+  };
+
+  const finishEntry = async ({ type, chunks, handle, dest, mode }) => {
+    if (handle) {
+      await handle.close();
+      await fs.chmod(dest, mode || 0o644);
+    } else if (chunks) {
+      const data = Buffer.concat(chunks);
+      if (type === 'x') {
+        const records = parsePaxRecords(data);
+        if (records.path) overrides.path = records.path;
+        if (records.linkpath) overrides.linkpath = records.linkpath;
+        if (records.size) overrides.size = parseInt(records.size, 10);
+      } else if (type === 'L' || type === 'K') {
+        const end = data.indexOf(0);
+        overrides[type === 'L' ? 'path' : 'linkpath'] = data.subarray(0, end === -1 ? data.length : end).toString('utf8');
+      }
+    }
+  };
+
+  try {
+    for await (const chunk of source) {
+      if (ended) continue;
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      let offset = 0;
+
+      while (!ended) {
+        const available = pending.length - offset;
+        if (entry && entry.left > 0) {
+          const n = Math.min(entry.left, available);
+          if (!n) break;
+          const data = pending.subarray(offset, offset + n);
+          if (entry.handle) await entry.handle.write(data);
+          if (entry.chunks) entry.chunks.push(Buffer.from(data));
+          offset += n;
+          entry.left -= n;
+        } else if (entry && entry.pad > 0) {
+          const n = Math.min(entry.pad, available);
+          if (!n) break;
+          offset += n;
+          entry.pad -= n;
+        } else if (entry) {
+          const done = entry;
+          entry = null;
+          await finishEntry(done);
+        } else {
+          if (available < 512) break;
+          const block = pending.subarray(offset, offset + 512);
+          offset += 512;
+          // Two zero blocks end the archive; one is enough to know
+          if (block.every(byte => byte === 0)) {
+            ended = true;
+          } else {
+            entry = await startEntry(block);
+          }
+        }
+      }
+      pending = pending.subarray(offset);
+    }
+
+    if (!ended) {
+      throw new Error('Invalid archive: unexpected end of data');
+    }
+  } finally {
+    await entry?.handle?.close().catch(() => {});
+  }
+
+  for (const { dest, linkname } of symlinks) {
+    await makeParentDirs(root, dest, 'Invalid archive');
+    await fs.rm(dest, { force: true });
+    await fs.symlink(linkname, dest);
+  }
+
+  // Only now can a chain of links be followed to where it really leads: `x -> a/s/..`
+  // looks harmless, but not with `a/s -> ../..`
+  const realRoot = await fs.realpath(root);
+  for (const { dest } of symlinks) {
+    const { real, missing } = await realTarget(dest);
+    if (!isInside(realRoot, real) || missing.includes('..')) {
+      throw new Error(`Invalid archive: symlink ${sanitizeForLog(relative(root, dest))} points outside the release`);
+    }
+  }
+}
+
+// Where a symlink really leads, every link on the way followed. For a dangling link,
+// the deepest part of its target that exists, plus the names missing below it.
+async function realTarget(link) {
+  const linkname = await fs.readlink(link);
+  let path = linkname.startsWith('/') ? linkname : `${dirname(link)}/${linkname}`;
+  const missing = [];
+  for (;;) {
+    try {
+      return { real: await fs.realpath(path), missing };
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw new Error(`Invalid archive: cannot follow symlink ${sanitizeForLog(basename(link))} (${error.code})`);
+      }
+      missing.unshift(basename(path));
+      path = dirname(path);
+    }
+  }
+}
+
+async function hashFile(path) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/*
+Content hash -> path of the files a release can donate to the next one. Every file
+is hashed again rather than trusting the manifest, since a build or the app itself
+may have changed it since it was uploaded.
+*/
+async function getReleaseFiles(releaseDir) {
+  const files = new Map();
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(join(releaseDir, FILE_MANIFEST), 'utf8'));
+  } catch {
+    return files;
+  }
+
+  for (const [path, file] of Object.entries(manifest.files || {})) {
+    if (files.has(file.hash)) continue;
+    const source = join(releaseDir, path);
+    try {
+      if (await hashFile(source) === file.hash) {
+        files.set(file.hash, source);
+      }
+    } catch {}
+  }
+  return files;
+}
+
+/*
+Delta uploads, first half: the CLI posts the manifest of what it is about to push,
+and gets back the hashes the live release already has, so it only uploads the rest.
+*/
+async function checkManifest(req, res, appName) {
+  const safeAppName = sanitizeAppName(appName);
+  let manifest;
+  try {
+    manifest = await readJsonBody(req, 16 * 1024 * 1024);
+  } catch (error) {
+    sendError(res, 400, error.message);
+    return;
+  }
+
+  const currentTarget = await readLinkTarget(getAppPaths(safeAppName).current);
+  const available = currentTarget ? await getReleaseFiles(currentTarget) : new Map();
+  const have = [...new Set(Object.values(manifest.files || {}).map(file => file.hash))].filter(hash => available.has(hash));
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ release: currentTarget ? basename(currentTarget) : null, have }));
+}
+
+/*
+Second half: a delta upload only carries the changed files plus the full manifest.
+Everything else is copied from the live release. Copies rather than hardlinks, so an
+install or build in the new release can never change a file the running app uses;
+COPYFILE_FICLONE makes them cheap reflinks on filesystems that support it.
+*/
+async function assembleRelease(releaseDir, sourceDir) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(join(releaseDir, FILE_MANIFEST), 'utf8'));
+  } catch {
+    throw new Error(`Delta upload without a readable ${FILE_MANIFEST}`);
+  }
+
+  const sources = sourceDir ? await getReleaseFiles(sourceDir) : new Map();
+  const root = resolve(releaseDir);
+  let copied = 0;
+  for (const [path, file] of Object.entries(manifest.files || {})) {
+    const dest = resolve(root, path);
+    if (!dest.startsWith(root + sep)) {
+      throw new Error(`Invalid path in ${FILE_MANIFEST}: ${sanitizeForLog(path)}`);
+    }
+    await makeParentDirs(root, dest, `Invalid path in ${FILE_MANIFEST}`);
+    try {
+      await fs.lstat(dest);
+      continue; // Uploaded
+    } catch {}
+
+    const source = sources.get(file.hash);
+    if (!source) {
+      throw new Error(`${sanitizeForLog(path)} was not uploaded and the live release no longer has it - push again, or with --full`);
+    }
+    await fs.copyFile(source, dest, fsConstants.COPYFILE_FICLONE);
+    await fs.chmod(dest, (file.mode & 0o777) || 0o644);
+    copied++;
+  }
+  return copied;
+}
+
+// Create the directories between `root` and `dest` one at a time, refusing to go
+// through anything that isn't a real directory: the upload may have put a symlink
+// there, and a file written through it would land outside the release. `invalid`
+// starts the error message.
+async function makeParentDirs(root, dest, invalid) {
+  let dir = root;
+  for (const part of relative(root, dirname(dest)).split(sep).filter(Boolean)) {
+    dir = join(dir, part);
+    try {
+      if (!(await fs.lstat(dir)).isDirectory()) {
+        throw new Error(`${invalid}: ${sanitizeForLog(relative(root, dest))} goes through ${sanitizeForLog(relative(root, dir))}, which is not a directory`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await fs.mkdir(dir);
+    }
+  }
+}
+
+// NLEVER_BUILD values that turn off the build step, even with a build script present
+const NO_BUILD = ['no', 'none', 'false', 'off'];
+const BUILD_TIMEOUT = 600000;
+
+// The client's NLEVER_BUILD wins; otherwise a `build` script in package.json is run
+// with whichever package manager installed the dependencies.
+function getBuildCommand(requested, pkg, useYarn) {
+  if (requested) {
+    return NO_BUILD.includes(requested.toLowerCase()) ? null : requested;
+  }
+  if (pkg?.scripts?.build) {
+    return useYarn ? 'yarn build' : 'npm run build';
+  }
+  return null;
+}
+
+/*
+Hooks: commands a release brings along to run at fixed points of a deploy or
+rollback, declared under `nlever.hooks` in its package.json or as executable files
+in .nlever/hooks/. They run in the release directory with the app's env.
+- pre-deploy: right after the upload is unpacked, before dependencies are installed
+- pre-activate: once the release is installed, built and checked, before it goes
+  live. The place for migrations; a failure aborts the deploy.
+- post-deploy: after a successful deploy, e.g. to warm caches
+- on-rollback: in the release that is live again after a rollback
+*/
+const HOOKS = ['pre-deploy', 'pre-activate', 'post-deploy', 'on-rollback'];
+const HOOK_TIMEOUT = (parseInt(process.env.NLEVER_HOOK_TIMEOUT, 10) || 300) * 1000;
+
+// The command for hook `name` in a release, package.json first, or null
+async function getHookCommand(releaseDir, name) {
+  let pkg = null;
+  try {
+    pkg = await readPackageJson(releaseDir);
+  } catch {}
+  
+  const hooks = pkg?.nlever?.hooks;
+  if (hooks !== undefined) {
+    if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+      throw new Error('"nlever.hooks" in package.json must be an object');
+    }
+    for (const [hook, command] of Object.entries(hooks)) {
+      if (!HOOKS.includes(hook)) {
+        throw new Error(`Unknown hook ${sanitizeForLog(hook)} in package.json. Hooks: ${HOOKS.join(', ')}`);
+      }
+      if (typeof command !== 'string' || !command.trim()) {
+        throw new Error(`Hook ${hook} in package.json must be a command`);
+      }
+    }
+    if (hooks[name]) return hooks[name];
+  }
+  
+  try {
+    await fs.access(join(releaseDir, '.nlever', 'hooks', name), fsConstants.X_OK);
+    return `./.nlever/hooks/${name}`;
+  } catch {
+    return null;
+  }
+}
+
+// Run a hook's command; rejects like runCommand(), with the output on the error
+async function runHook(appName, releaseDir, name, command, { port, onOutput } = {}) {
+  const env = {
+    ...(await buildAppEnv(appName, port)),
+    NLEVER_APP: appName,
+    NLEVER_HOOK: name,
+    NLEVER_RELEASE: basename(releaseDir)
+  };
+  const { stdout, stderr } = await runCommand(command, { cwd: releaseDir, env, timeout: HOOK_TIMEOUT, onOutput });
+  return [stdout.trim(), stderr.trim()].filter(Boolean).join('\n');
+}
+
+/*
+Run the on-rollback hook of the release that is live again. The rollback has
+already happened by then, so a failure is reported, not thrown. Returns what to
+tell the client, or null when there is no hook.
+*/
+async function runRollbackHook(appName, releaseDir, port) {
+  let command = null;
+  try {
+    command = await getHookCommand(releaseDir, 'on-rollback');
+    if (!command) return null;
+    const output = await runHook(appName, releaseDir, 'on-rollback', command, { port });
+    return { name: 'on-rollback', command, success: true, output };
+  } catch (error) {
+    console.error(`on-rollback hook of ${sanitizeForLog(appName)} failed:`, sanitizeForLog(error.message));
+    return { name: 'on-rollback', command, success: false, error: error.message, output: error.output || '' };
+  }
+}
+
+async function deploy(req, res, appName) {
+  let rollbackNeeded = false;
+  let liveTarget = null;
+  let previousTarget = null;
+  let releasePath = null;
+  let activated = false;
+  let next = null;
+  let previousPM2Config = null;
+  let assignedPort = null;
+  let hostnames = [];
+  const safeAppName = sanitizeAppName(appName);
+  const reporter = createDeployReporter(req, res, safeAppName);
+  
+  try {
+    await acquireLock(safeAppName);
+    
+    const url = new URL(`http://localhost${req.url}`);
+    const healthCheck = url.searchParams.get('health_check');
+    const keepReleases = parseKeepReleases(url.searchParams.get('keep_releases'));
+    const processOptions = getPushedProcessOptions(url.searchParams);
+    const requestedHostnames = parseHostnames(url.searchParams.get('hostnames'));
+    claimHostnames(safeAppName, requestedHostnames);
+    hostnames = requestedHostnames;
+    if (hostnames.length && !PROXY_MODE) {
+      reporter.log('NLEVER_HOSTNAMES only routes in proxy mode (NLEVER_PROXY=yes on the server); they are kept for when it is on');
+    }
+    const metadata = parseReleaseMetadata(req);
+    
+    // In proxy mode the release runs next to the live process until it has proven
+    // itself, see planNextProcess(). Otherwise it takes over the app's own port.
+    next = PROXY_MODE ? await planNextProcess(safeAppName) : null;
+    assignedPort = next ? next.port : await reserveAppPort(safeAppName, url.searchParams.get('port'));
+    
+    const timestamp = Date.now();
+    const paths = getAppPaths(safeAppName, timestamp);
+    await fs.mkdir(paths.release, { recursive: true });
+    releasePath = paths.release;
+    
+    const tempFile = join(tmpdir(), `nlever-${appName}-${timestamp}.tar.gz`);
+    
+    // No progress events until the upload is in: the CLI is still drawing its own
+    // upload percentage on the same line.
+    const fileStream = createWriteStream(tempFile);
+    await pipeline(req, fileStream);
+
+    reporter.phase('extract', `Extracting release ${timestamp}`);
+    const archive = createReadStream(tempFile);
+    const gunzip = createGunzip();
+    archive.on('error', err => gunzip.destroy(err));
+    try {
+      await extractTar(archive.pipe(gunzip), paths.release);
+    } finally {
+      archive.destroy();
+      await fs.unlink(tempFile).catch(() => {});
+    }
+
+    if (url.searchParams.get('delta') === '1') {
+      const sourceDir = await readLinkTarget(paths.current);
+      reporter.phase('assemble', `Copying unchanged files from release ${sourceDir ? basename(sourceDir) : '(none)'}`);
+      const copied = await assembleRelease(paths.release, sourceDir);
+      reporter.log(`${copied} unchanged files copied`);
+    }
+
+    const manifest = { id: timestamp.toString(), deployedAt: timestamp, deployedBy: req.identity?.name, ...metadata };
+    await fs.writeFile(join(paths.release, RELEASE_MANIFEST), JSON.stringify(manifest, null, 2));
+    if (manifest.commit) {
+      reporter.log(`Release ${timestamp}: ${manifest.commit.slice(0, 12)} on ${manifest.branch || '(detached)'}${manifest.dirty ? ' (dirty)' : ''}`);
+    }
+    
+    const extractedFiles = await fs.readdir(paths.release);
+    console.log(`Extracted files to ${sanitizeForLog(paths.release)}:`, extractedFiles.slice(0, 10).map(sanitizeForLog));
+
+    const runDeployHook = async name => {
+      let command;
+      try {
+        command = await getHookCommand(paths.release, name);
+      } catch (error) {
+        reporter.phase(name, `Reading the ${name} hook`);
+        throw error;
+      }
+      if (!command) return;
+      reporter.phase(name, `Running ${name} hook`);
+      reporter.log(command);
+      await runHook(safeAppName, paths.release, name, command, {
+        port: assignedPort,
+        onOutput: (stream, text) => reporter.output(stream, text)
+      });
+    };
+
+    await runDeployHook('pre-deploy');
+
+    let pkg = null;
+    try {
+      pkg = await readPackageJson(paths.release);
+    } catch {}
+
+    let useYarn = false;
+    try {
+      await fs.access(join(paths.release, 'yarn.lock'));
+      useYarn = true;
+    } catch {}
+
+    // Install dependencies
+    let hasPackageJson = true;
+    try {
+      await fs.access(join(paths.release, 'package.json'));
+    } catch {
+      hasPackageJson = false;
+    }
+
+    if (hasPackageJson) {
+      reporter.phase('install', 'Installing dependencies');
+      
+      const installCmd = useYarn ? 'yarn install --frozen-lockfile' : 'npm install';
+      reporter.log(useYarn ? 'Found yarn.lock, using yarn' : 'Using npm install');
+      
+      await runCommand(installCmd, {
+        cwd: paths.release,
+        timeout: 300000,
+        onOutput: (stream, text) => reporter.output(stream, text)
+      });
+      reporter.log('Dependencies installed successfully');
+    }
+
+    // Build in the new release directory while the live one keeps serving. A failed
+    // build ends the deploy here, before anything the running app depends on changes.
+    const buildCommand = getBuildCommand(url.searchParams.get('build'), pkg, useYarn);
+    if (buildCommand) {
+      reporter.phase('build', `Building with ${buildCommand}`);
+      await runCommand(buildCommand, {
+        cwd: paths.release,
+        env: await buildAppEnv(safeAppName, assignedPort),
+        timeout: BUILD_TIMEOUT,
+        onOutput: (stream, text) => reporter.output(stream, text)
+      });
+    }
+
+    reporter.phase('preflight', 'Checking the release before going live');
+    const pm2Config = await buildPM2Config(safeAppName, paths.release, assignedPort, message => reporter.log(message), processOptions);
+    await preflightRelease(paths.release, pm2Config, message => reporter.log(message));
+
+    // Last step before anything live changes: a failure here leaves the app as it was
+    await runDeployHook('pre-activate');
+
+    // Nothing above has touched the running app
+    const activate = async () => {
+      reporter.phase('activate', next ? `Switching traffic to ${next.pm2Name}` : 'Switching current release');
+      liveTarget = await readLinkTarget(paths.current);
+      previousTarget = await readLinkTarget(paths.previous);
+      if (liveTarget) {
+        await setSymlink(paths.previous, liveTarget);
+      }
+      await setSymlink(paths.current, paths.release);
+      activated = true;
+    };
+
+    const pm2Name = next ? next.pm2Name : `nlever-${safeAppName}`;
+
+    if (next) {
+      reporter.phase('start', `Starting ${next.pm2Name} on port ${next.port}`);
+      if (url.searchParams.get('port')) {
+        reporter.log('NLEVER_PORT is ignored in proxy mode, the proxy picks the ports');
+      }
+      await startNextProcess(safeAppName, next, pm2Config, paths.release);
+    } else {
+      // Restarted in place, so from here on a failure means switching back to what
+      // was live before
+      await activate();
+
+      reporter.phase('start', `Starting ${pm2Name} with PM2${assignedPort ? ` on port ${assignedPort}` : ''}`);
+      const previousPort = getAppPort(safeAppName);
+      if (previousPort && previousPort !== assignedPort) {
+        reporter.log(`Moving from port ${previousPort} to ${assignedPort}`);
+      }
+      const processExists = pm2ProcessExists(pm2Name);
+      if (processExists) {
+        previousPM2Config = await readPM2Config(paths.pm2Config);
+      } else {
+        console.log(`Starting new PM2 app ${sanitizeForLog(pm2Name)} with config:`, JSON.stringify({ ...pm2Config, env: Object.keys(pm2Config.env) }, null, 2));
+      }
+
+      // Written on every deploy, not just the first: it carries the app's stored env
+      // vars and PM2 options
+      try {
+        const action = await applyPM2Config(paths.pm2Config, pm2Config);
+        if (action === 'restarted') {
+          reporter.log(`Restarted existing PM2 app: ${pm2Name}`);
+        } else if (action === 'replaced') {
+          reporter.log(`PM2 definition changed, started ${pm2Name} afresh`);
+        }
+      } catch (e) {
+        rollbackNeeded = processExists;
+        throw commandError(processExists ? 'PM2 restart failed' : 'PM2 start failed', e);
+      }
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    reporter.phase('verify', `Checking PM2 status for ${pm2Name}`);
+    try {
+      execSync(`pm2 describe ${pm2Name}`, { encoding: 'utf8', stdio: 'pipe' });
+    } catch (err) {
+      rollbackNeeded = true;
+      throw commandError('PM2 process failed to start', err);
+    }
+
+    if (healthCheck && !assignedPort) {
+      reporter.log(`Skipping the ${healthCheck} check: the app picks its own port, set NLEVER_PORT to give it one`);
+    } else if (healthCheck) {
+      reporter.phase('health', `Waiting for ${healthCheck} to return 200`);
+      const maxAttempts = 10;
+      const delays = [1000, 2000, 4000, 4000, 4000, 4000, 4000, 4000, 4000, 4000];
+      let healthy = false;
+      let lastResult = null;
+      
+      for (let i = 0; i < maxAttempts; i++) {
+        await new Promise(resolve => setTimeout(resolve, delays[i]));
+        
+        try {
+          const statusCode = await requestHealthCheck(assignedPort, healthCheck);
+          lastResult = `status ${statusCode}`;
+          if (statusCode === 200) {
+            healthy = true;
+            break;
+          }
+        } catch (err) {
+          lastResult = err.message;
+        }
+        reporter.log(`Attempt ${i + 1}/${maxAttempts}: ${lastResult}`);
+      }
+      
+      if (!healthy) {
+        rollbackNeeded = true;
+        throw new Error(`Health check failed (${lastResult})`);
+      }
+    } else if (next) {
+      // Without a health check, at least don't send traffic before anything listens
+      reporter.phase('health', `Waiting for port ${next.port} to accept connections`);
+      await waitForPort(next.port);
+    }
+
+    const entry = {
+      lastDeploy: timestamp,
+      pm2Name,
+      healthCheck,
+      release: manifest,
+      ...(keepReleases && { keepReleases }),
+      ...(processOptions && { process: processOptions }),
+      ...(hostnames.length && { hostnames }),
+      port: assignedPort,
+      ...(next && { color: next.color })
+    };
+
+    if (next) {
+      await activate();
+      await switchTraffic(safeAppName, entry);
+      if (entry.standby) {
+        reporter.log(`${entry.standby.pm2Name} keeps running for rollback until ${new Date(entry.standby.retireAt).toISOString()}`);
+      }
+    } else {
+      apps[safeAppName] = entry;
+      await saveRegistry();
+    }
+
+    reporter.phase('cleanup', 'Removing old releases');
+    await cleanupReleases(paths, keepReleases || KEEP_RELEASES, apps[safeAppName].standby);
+
+    // The release is live whatever happens here, so a failure is only reported
+    try {
+      await runDeployHook('post-deploy');
+    } catch (error) {
+      reporter.log(`post-deploy hook failed, the release stays live: ${error.message}`);
+      if (error.output) reporter.output('stderr', error.output);
+    }
+
+    reporter.succeed({
+      timestamp,
+      // Apps behind the proxy are reached through it, their ports change every deploy
+      ...(!next && { port: assignedPort }),
+      message: 'Deployment successful'
+    });
+
+  } catch (error) {
+    // Failed before going live: the half-prepared release is of no use to anyone, and
+    // would otherwise count towards the releases kept for rollback
+    if (releasePath && !activated) {
+      await fs.rm(releasePath, { recursive: true, force: true }).catch(() => {});
+    }
+
+    // Blue/green: the new process never got any traffic, it can simply go
+    if (next && !activated && pm2ProcessExists(next.pm2Name)) {
+      try {
+        await deleteColorProcess(safeAppName, next);
+        persistProcessList();
+      } catch {}
+    }
+
+    // Both links go back to exactly where they pointed before this deploy, so a
+    // failed deploy doesn't use up the one-step `nlever rollback` either
+    if (rollbackNeeded && liveTarget) {
+      try {
+        const rollbackPaths = getAppPaths(safeAppName);
+        await setSymlink(rollbackPaths.current, liveTarget);
+        if (previousTarget) {
+          await setSymlink(rollbackPaths.previous, previousTarget);
+        } else {
+          await fs.unlink(rollbackPaths.previous).catch(() => {});
+        }
+        
+        if (previousPM2Config) {
+          await applyPM2Config(rollbackPaths.pm2Config, previousPM2Config);
+        } else if (pm2ProcessExists(getPM2Name(safeAppName))) {
+          // The registry still names the live process, coloured in blue/green mode
+          await restartProcess(getPM2Name(safeAppName));
+        }
+        reporter.log(`Rolled back to ${basename(liveTarget)}`);
+
+        const hook = await runRollbackHook(safeAppName, liveTarget, apps[safeAppName]?.port);
+        if (hook) {
+          reporter.log(`on-rollback hook ${hook.success ? 'ran' : `failed: ${hook.error}`}`);
+          if (hook.output) reporter.output(hook.success ? 'stdout' : 'stderr', hook.output);
+        }
+      } catch {}
+    }
+
+    reporter.fail(error);
+  } finally {
+    if (assignedPort) reservedPorts.delete(assignedPort);
+    hostnames.forEach(hostname => claimedHostnames.delete(hostname));
+    await releaseLock(safeAppName);
+  }
+}
+
+async function rollback(req, res, appName) {
+  const safeAppName = sanitizeAppName(appName);
+  const paths = getAppPaths(safeAppName);
+  const url = new URL(`http://localhost${req.url}`);
+  const to = url.searchParams.get('to');
 
-    console.log(`Checking PM2 status for nlever-${sanitizeForLog(safeAppName)}...`);
+  // Checked first, so a rollback of an unknown app doesn't leave a lock directory
+  if ((await listReleaseIds(paths)).length === 0) {
+    sendError(res, 404, 'App not found');
+    return;
+  }
+
+  // The deploy lock: a rollback moves the same links, colours and ports as a deploy
+  try {
+    await acquireLock(safeAppName);
+  } catch (error) {
+    sendError(res, 409, `Rollback refused: ${error.message}`);
+    return;
+  }
+
+  let prepared = null;
+  try {
+    let target;
     try {
-      execSync(`pm2 describe nlever-${safeAppName}`, { encoding: 'utf8' });
-      console.log(`PM2 describe succeeded for nlever-${sanitizeForLog(safeAppName)}`);
-    } catch (err) {
-      console.error(`PM2 describe failed for nlever-${sanitizeForLog(safeAppName)}:`, err.message);
-      rollbackNeeded = true;
-      throw new Error('PM2 process failed to start');
+      target = to ? join(paths.releases, sanitizeReleaseId(to)) : await fs.readlink(paths.previous);
+      await fs.access(target);
+    } catch {
+      sendError(res, 404, to ? `Release ${sanitizeForLog(to)} not found` : 'No previous version to rollback to');
+      return;
     }
 
-    if (healthCheck) {
-      const maxAttempts = 10;
-      const delays = [1000, 2000, 4000, 4000, 4000, 4000, 4000, 4000, 4000, 4000];
-      let healthy = false;
-      
-      for (let i = 0; i < maxAttempts; i++) {
-        await new Promise(resolve => setTimeout(resolve, delays[i]));
-        
-        try {
-          const healthRes = await new Promise((resolve, reject) => {
-            const req = request({
-              hostname: 'localhost',
-              port: assignedPort,
-              path: healthCheck,
-              method: 'GET',
-              timeout: 5000
-            }, resolve);
-            req.on('error', reject);
-            req.on('timeout', () => reject(new Error('Health check timeout')));
-            req.end();
-          });
-          
-          if (healthRes.statusCode === 200) {
-            healthy = true;
-            break;
-          }
-        } catch {}
-      }
-      
-      if (!healthy) {
-        rollbackNeeded = true;
-        throw new Error('Health check failed');
-      }
+    const currentTarget = await readLinkTarget(paths.current);
+    if (currentTarget === target) {
+      sendError(res, 409, `Release ${basename(target)} is already live`);
+      return;
+    }
+
+    // Started (or found warm) before any link moves, so a failure leaves things as they were
+    prepared = PROXY_MODE ? await prepareRollbackProcess(safeAppName, target) : null;
+
+    await setSymlink(paths.current, target);
+    if (currentTarget) {
+      await setSymlink(paths.previous, currentTarget);
     }
 
-    // Cleanup old releases
-    const releases = await fs.readdir(paths.releases);
-    for (const release of releases) {
-      if (release !== timestamp.toString()) {
-        const oldRelease = join(paths.releases, release);
-        await fs.rm(oldRelease, { recursive: true, force: true });
+    if (prepared) {
+      await switchTraffic(safeAppName, prepared.entry);
+    } else {
+      // The release's own package.json may ask for other PM2 options
+      await applyPM2Config(paths.pm2Config, await buildPM2Config(safeAppName, target, getAppPort(safeAppName), () => {}));
+
+      if (apps[safeAppName]) {
+        apps[safeAppName].release = await readReleaseManifest(target);
+        await saveRegistry();
       }
     }
 
-    apps[safeAppName] = {
-      lastDeploy: timestamp,
-      pm2Name: `nlever-${safeAppName}`,
-      healthCheck,
-      ...(PROXY_MODE && { port: assignedPort })
-    };
-    await saveRegistry();
+    const hook = await runRollbackHook(safeAppName, target, prepared ? prepared.entry.port : apps[safeAppName]?.port);
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ 
-      success: true, 
-      timestamp,
-      message: 'Deployment successful'
+    res.end(JSON.stringify({
+      success: true,
+      release: basename(target),
+      warm: Boolean(prepared?.warm),
+      ...(hook && { hook }),
+      message: 'Rollback successful'
     }));
+  } catch (error) {
+    sendError(res, 500, `Rollback failed: ${error.message}`);
+  } finally {
+    if (prepared) reservedPorts.delete(prepared.entry.port);
+    await releaseLock(safeAppName);
+  }
+}
+
+/*
+Blue/green rollback: the registry entry that makes `target` live. When `target` is
+the standby and it is still running, that is the whole rollback; otherwise the
+release is started next to the live process, like a deploy without the install.
+*/
+async function prepareRollbackProcess(appName, target) {
+  const { standby, ...live } = apps[appName] || {};
+  const release = await readReleaseManifest(target);
+
+  if (standby?.release?.id === release.id && pm2ProcessExists(standby.pm2Name)) {
+    return {
+      entry: { ...live, pm2Name: standby.pm2Name, color: standby.color, port: standby.port, release },
+      warm: true
+    };
+  }
+
+  const next = await planNextProcess(appName);
+  try {
+    const pm2Config = await buildPM2Config(appName, target, next.port, () => {});
+    await startNextProcess(appName, next, pm2Config, target);
+    await waitForPort(next.port);
+  } catch (error) {
+    try {
+      await deleteColorProcess(appName, next);
+    } catch {}
+    reservedPorts.delete(next.port);
+    throw error;
+  }
+  // The port stays reserved until the caller has put the entry in the registry
+  return { entry: { ...live, pm2Name: next.pm2Name, color: next.color, port: next.port, release } };
+}
+
+async function getReleases(req, res, appName) {
+  const safeAppName = sanitizeAppName(appName);
+  const paths = getAppPaths(safeAppName);
+  const ids = await listReleaseIds(paths);
+
+  if (ids.length === 0) {
+    sendError(res, 404, 'App not found');
+    return;
+  }
+
+  const currentTarget = await readLinkTarget(paths.current);
+  const previousTarget = await readLinkTarget(paths.previous);
+
+  const releases = [];
+  for (const id of ids) {
+    const releasePath = join(paths.releases, id);
+    releases.push({
+      ...(await readReleaseManifest(releasePath)),
+      id,
+      timestamp: Number(id),
+      size: await getDirectorySize(releasePath),
+      current: currentTarget === releasePath,
+      previous: previousTarget === releasePath
+    });
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    name: safeAppName,
+    keep: apps[safeAppName]?.keepReleases || KEEP_RELEASES,
+    releases
+  }));
+}
+
+async function getEnv(req, res, appName) {
+  const safeAppName = sanitizeAppName(appName);
+  const vars = await loadAppEnv(safeAppName);
+  const masked = {};
+  for (const [key, value] of Object.entries(vars)) {
+    masked[key] = maskEnvValue(value);
+  }
+  
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ name: safeAppName, vars: masked }));
+}
 
+/*
+Change an app's stored env vars: `{ "set": { "KEY": "value" }, "unset": ["KEY"],
+"restart": true }`. They are applied on the next deploy, or right away when
+`restart` is set and the app is running: the PM2 config is regenerated for the
+live release and the app restarted through it.
+*/
+async function updateEnv(req, res, appName) {
+  const safeAppName = sanitizeAppName(appName);
+  
+  let body;
+  try {
+    body = await readJsonBody(req);
   } catch (error) {
-    if (rollbackNeeded && previousLink) {
+    sendError(res, 400, error.message);
+    return;
+  }
+  
+  const set = body.set || {};
+  const unset = Array.isArray(body.unset) ? body.unset : [];
+  for (const key of [...Object.keys(set), ...unset]) {
+    // Names that would reach the object's prototype instead of being stored
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) || ['__proto__', 'constructor', 'prototype'].includes(key)) {
+      sendError(res, 400, `Invalid variable name: ${sanitizeForLog(key)}`);
+      return;
+    }
+  }
+  for (const [key, value] of Object.entries(set)) {
+    if (typeof value !== 'string' || value.length > 32768) {
+      sendError(res, 400, `Invalid value for ${key}`);
+      return;
+    }
+  }
+  
+  const vars = await loadAppEnv(safeAppName);
+  Object.assign(vars, set);
+  unset.forEach(key => delete vars[key]);
+  await saveAppEnv(safeAppName, vars);
+  console.log(`Env for ${sanitizeForLog(safeAppName)} updated: set ${Object.keys(set).join(', ') || '-'}, unset ${unset.join(', ') || '-'}`);
+  
+  let restarted = false;
+  const pm2Name = getPM2Name(safeAppName);
+  if (body.restart && pm2ProcessExists(pm2Name)) {
+    const paths = getAppPaths(safeAppName);
+    try {
+      const currentTarget = await fs.readlink(paths.current);
+      const port = getAppPort(safeAppName);
+      const color = apps[safeAppName]?.color;
+      const configFile = getPM2ConfigFile(safeAppName, color);
+      const pm2Config = await buildPM2Config(safeAppName, currentTarget, port, () => {});
+      // Blue/green processes run from their release directory, see startNextProcess()
+      await applyPM2Config(configFile, color ? { ...pm2Config, name: pm2Name, cwd: currentTarget } : pm2Config);
+      restarted = true;
+    } catch (error) {
+      sendError(res, 500, `Env saved, but the restart failed: ${error.message}`);
+      return;
+    }
+  }
+  
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ success: true, restarted, keys: Object.keys(vars) }));
+}
+
+// One GET of an app's health check path. Resolves with the status code.
+function requestHealthCheck(port, path) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      hostname: 'localhost',
+      port,
+      path,
+      method: 'GET',
+      timeout: 5000
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Health check timeout'));
+    });
+    req.end();
+  });
+}
+
+function getHealthFile() {
+  return join(BASE_DIR, '.nlever-health.json');
+}
+
+async function loadHealth() {
+  try {
+    health = JSON.parse(await fs.readFile(getHealthFile(), 'utf8'));
+  } catch {
+    health = {};
+  }
+}
+
+async function saveHealth() {
+  await fs.writeFile(getHealthFile(), JSON.stringify(health, null, 2));
+}
+
+/*
+The health monitor. Every NLEVER_MONITOR_INTERVAL seconds each app in the registry
+is checked: its PM2 process has to be online and, when the app has a health check,
+the check has to return 200 on the app's port. Apps deployed outside proxy mode
+before nlever gave them ports picked their own, which nothing records, so for them
+only the process is checked. Apps that were stopped on purpose or are being deployed
+are left alone. One round at a time, so a slow round delays the next instead of
+piling up; PM2 is queried asynchronously, so the proxy keeps serving meanwhile.
+*/
+function startMonitor() {
+  if (!MONITOR_INTERVAL) return;
+  
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      let processes = null;
       try {
-        const rollbackPaths = getAppPaths(safeAppName);
-        const previousTarget = await fs.readlink(previousLink);
-        await fs.unlink(rollbackPaths.current);
-        await fs.symlink(previousTarget, rollbackPaths.current);
-        
-        execSync(`pm2 restart nlever-${safeAppName} --update-env`, { timeout: 30000 });
-      } catch {}
+        processes = await listPM2Processes();
+      } catch {
+        return; // Nothing to go on this round
+      }
+      for (const appName of Object.keys(apps)) {
+        await checkAppHealth(appName, processes).catch(error => {
+          console.error(`Health check of ${sanitizeForLog(appName)} failed:`, error.message);
+        });
+      }
+    } finally {
+      running = false;
     }
+  }, MONITOR_INTERVAL);
+}
 
-    sendError(res, 500, error.message);
+/*
+Check one app and track its state: `up` until MONITOR_FAILURES checks in a row fail,
+then `down` until one passes again. Each change is recorded in the app's history
+and sent to NLEVER_ALERT_WEBHOOK. With NLEVER_MONITOR_RESTART=yes a down app is
+restarted, and again after every MONITOR_FAILURES further failures.
+*/
+async function checkAppHealth(appName, processes) {
+  const entry = apps[appName];
+  try {
+    const lockAge = Date.now() - (await fs.stat(getAppPaths(appName).lock)).mtimeMs;
+    if (lockAge < 600000) return; // Being deployed
+  } catch {}
+  
+  const workers = processes.filter(p => p.name === (entry.pm2Name || `nlever-${appName}`));
+  if (workers.length && workers.every(p => p.pm2_env.status === 'stopped')) {
+    return; // Stopped on purpose
+  }
+  
+  let problem = null;
+  const notOnline = workers.find(p => p.pm2_env.status !== 'online');
+  if (workers.length === 0) {
+    problem = 'No PM2 process';
+  } else if (notOnline) {
+    problem = `PM2 status ${notOnline.pm2_env.status}`;
+  } else if (entry.healthCheck && getAppPort(appName)) {
+    try {
+      const statusCode = await requestHealthCheck(getAppPort(appName), entry.healthCheck);
+      if (statusCode !== 200) problem = `${entry.healthCheck} returned ${statusCode}`;
+    } catch (error) {
+      problem = `${entry.healthCheck}: ${error.message}`;
+    }
+  }
+  
+  const state = health[appName] || (health[appName] = { state: 'up', since: Date.now(), failures: 0, history: [] });
+  state.lastCheck = Date.now();
+  
+  if (!problem) {
+    state.failures = 0;
+    delete state.lastError;
+    if (state.state === 'down') {
+      await recordHealthChange(appName, state, 'recovered', 'Checks pass again');
+    }
+    return;
+  }
+  
+  state.failures++;
+  state.lastError = problem;
+  if (state.failures < MONITOR_FAILURES || (state.state === 'down' && state.failures % MONITOR_FAILURES !== 0)) {
+    return;
+  }
+  
+  let restarted = false;
+  if (MONITOR_RESTART) {
+    try {
+      const pm2Config = await readPM2Config(getPM2ConfigFile(appName, entry.color));
+      await restartProcess(getPM2Name(appName), pm2Config || {});
+      restarted = true;
+    } catch (error) {
+      console.error(`Restarting ${sanitizeForLog(appName)} failed:`, error.message);
+    }
+  }
+  
+  if (state.state !== 'down') {
+    await recordHealthChange(appName, state, 'down', problem, restarted);
+  } else if (restarted) {
+    state.history.push({ time: Date.now(), event: 'restarted', reason: problem });
+    state.history = state.history.slice(-HEALTH_HISTORY);
+    await saveHealth();
+  }
+}
+
+async function recordHealthChange(appName, state, event, reason, restarted = false) {
+  state.state = event === 'down' ? 'down' : 'up';
+  state.since = Date.now();
+  state.history.push({ time: state.since, event, reason, ...(restarted && { restarted }) });
+  state.history = state.history.slice(-HEALTH_HISTORY);
+  await saveHealth();
+  
+  console.log(`${sanitizeForLog(appName)} is ${event === 'down' ? 'down' : 'back up'}: ${sanitizeForLog(reason)}${restarted ? ' (restarted)' : ''}`);
+  sendAlert({
+    event,
+    app: appName,
+    server: hostname(),
+    time: new Date(state.since).toISOString(),
+    reason,
+    failures: state.failures,
+    restarted
+  });
+}
+
+// POST an alert to NLEVER_ALERT_WEBHOOK. Failures are logged, never retried.
+function sendAlert(alert) {
+  if (!ALERT_WEBHOOK) return;
+  
+  let url;
+  try {
+    url = new URL(ALERT_WEBHOOK);
+  } catch {
+    console.error('NLEVER_ALERT_WEBHOOK is not a valid URL');
+    return;
+  }
+  
+  const body = JSON.stringify(alert);
+  const req = (url.protocol === 'https:' ? httpsRequest : request)(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    timeout: 10000
+  }, res => {
+    res.resume();
+    if (res.statusCode >= 300) {
+      console.error(`Alert webhook returned ${res.statusCode}`);
+    }
+  });
+  req.on('error', error => console.error('Alert webhook failed:', error.message));
+  req.on('timeout', () => req.destroy(new Error('timeout')));
+  req.end(body);
+}
+
+async function getStatus(req, res, appName) {
+  try {
+    const safeAppName = sanitizeAppName(appName);
+    const info = getPM2ProcessInfo(getPM2Name(safeAppName));
+    const standby = apps[safeAppName]?.standby;
+    
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      name: sanitizeForLog(appName),
+      release: apps[safeAppName]?.release || null,
+      hostnames: apps[safeAppName]?.hostnames || [],
+      port: apps[safeAppName]?.port || null,
+      standby: standby ? { release: standby.release || null, retireAt: standby.retireAt } : null,
+      health: health[safeAppName] || null,
+      pm2: {
+        status: info.pm2_env.status,
+        cpu: info.monit.cpu,
+        memory: info.monit.memory,
+        uptime: info.pm2_env.pm_uptime,
+        restarts: info.pm2_env.restart_time
+      }
+    }));
+  } catch {
+    sendError(res, 404, 'App not found');
+  }
+}
+
+async function getPM2LogPaths(pm2Name) {
+  try {
+    const processes = await listPM2Processes();
+    const proc = processes.find(p => p.name === pm2Name);
+    if (!proc) return null;
+    return {
+      out: proc.pm2_env.pm_out_log_path,
+      err: proc.pm2_env.pm_err_log_path
+    };
+  } catch {
+    return null;
+  }
+}
+
+// `30s`, `10m`, `2h`, `1d` in ms, or null
+function parseDuration(value) {
+  const match = /^(\d+)([smhd])$/.exec(value);
+  if (!match) return null;
+  const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+// A duration back from now, or anything Date can parse. Returns a ms timestamp.
+function parseSince(value) {
+  const duration = parseDuration(value);
+  if (duration !== null) {
+    return Date.now() - duration;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+// PM2 prefixes lines with the time when an app runs with `time: true`, which
+// deploys now set. Lines without one (multi-line output) inherit the timestamp of
+// the line before them; lines with none before them either (an app started before
+// `time: true`) have no time at all, and `since` lets them through.
+function parseLogTimestamp(line) {
+  const match = /^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/.exec(line);
+  if (!match) return null;
+  const date = Date.parse(match[1].replace(' ', 'T'));
+  return Number.isNaN(date) ? null : date;
+}
+
+/*
+The line filter for `grep`: a plain substring. No regular expressions, since one
+that backtracks badly would block the thread that also serves the proxy, and no
+check short of running it can tell which ones do.
+*/
+function buildLogFilter(pattern) {
+  if (pattern.length > 200) {
+    throw new Error('Grep pattern too long, 200 characters at most');
+  }
+  return line => line.includes(pattern);
+}
+
+/*
+Read the tail of a log file as { line, time } entries, walking backwards from the
+end until `count` lines match or the lines get older than `since`. Scanning stops
+after `maxScan` bytes so a huge unmatched grep can't tie the server up reading
+gigabytes.
+*/
+async function readLogTail(file, { count, since, grep, maxScan = 64 * 1024 * 1024 }) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch {
+    return [];
+  }
+
+  try {
+    const { size } = await handle.stat();
+    const blockSize = 65536;
+    let position = size;
+    let remainder = '';
+    let lines = [];
+    let matched = 0;
+
+    while (position > 0 && size - position < maxScan && matched < count) {
+      const length = Math.min(blockSize, position);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, position);
+      const parts = (buffer.toString('utf8') + remainder).split('\n');
+      remainder = position > 0 ? parts.shift() : '';
+      lines = parts.concat(lines);
+      matched += parts.filter(line => line && (!grep || grep(line))).length;
+
+      if (since) {
+        const oldest = parts.map(parseLogTimestamp).find(Boolean);
+        if (oldest && oldest < since) break;
+      }
+    }
+    if (remainder) lines.unshift(remainder);
+
+    let time = null;
+    const entries = [];
+    for (const line of lines) {
+      if (!line) continue;
+      time = parseLogTimestamp(line) || time;
+      if (since && time && time < since) continue;
+      if (grep && !grep(line)) continue;
+      entries.push({ line, time });
+    }
+    return entries.slice(-count);
   } finally {
-    await releaseLock(safeAppName);
+    await handle.close();
+  }
+}
+
+/*
+Follow a log file from its current end, calling `onLines` with each batch of new
+complete lines. Polls rather than using fs.watch, which is unreliable for files
+another process appends to and doesn't notice truncation. A file that shrinks has
+been rotated or flushed by pm2, and is read again from the start.
+*/
+function followLogFile(file, onLines) {
+  let offset = null;
+  let partial = '';
+  let reading = false;
+
+  const poll = async () => {
+    if (reading) return;
+    reading = true;
+    try {
+      const { size } = await fs.stat(file);
+      if (offset === null || size < offset) {
+        offset = offset === null ? size : 0;
+        partial = '';
+      }
+      if (size > offset) {
+        const handle = await fs.open(file, 'r');
+        try {
+          const buffer = Buffer.alloc(size - offset);
+          await handle.read(buffer, 0, buffer.length, offset);
+          offset = size;
+          const parts = (partial + buffer.toString('utf8')).split('\n');
+          partial = parts.pop();
+          const lines = parts.filter(Boolean);
+          if (lines.length) onLines(lines);
+        } finally {
+          await handle.close();
+        }
+      }
+    } catch {
+      // Missing until the app first writes to it
+    } finally {
+      reading = false;
+    }
+  };
+
+  poll();
+  const timer = setInterval(poll, 1000);
+  return () => clearInterval(timer);
+}
+
+async function getLogs(req, res, appName) {
+  let safeAppName;
+  try {
+    safeAppName = sanitizeAppName(appName);
+  } catch {
+    sendError(res, 404, 'App not found');
+    return;
+  }
+
+  const url = new URL(`http://localhost${req.url}`);
+  const lines = url.searchParams.get('lines') || '100';
+  const safeLines = /^\d+$/.test(lines) ? lines : '100';
+  const follow = ['1', 'true', 'yes'].includes(url.searchParams.get('follow'));
+  const streamParam = url.searchParams.get('stream');
+  const sinceParam = url.searchParams.get('since');
+  const grepParam = url.searchParams.get('grep');
+
+  // Plain snapshots keep going through pm2 itself; anything filtered or followed
+  // needs the log files directly.
+  if (!follow && !streamParam && !sinceParam && !grepParam) {
+    try {
+      const logs = execSync(`pm2 logs ${getPM2Name(safeAppName)} --nostream --lines ${safeLines}`, { 
+        encoding: 'utf8',
+        timeout: 5000
+      });
+      
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(logs);
+    } catch {
+      sendError(res, 404, 'App not found');
+    }
+    return;
+  }
+
+  const streams = { out: 'out', stdout: 'out', err: 'err', stderr: 'err' };
+  if (streamParam && !streams[streamParam]) {
+    sendError(res, 400, 'stream must be stdout or stderr');
+    return;
   }
-}
 
-async function rollback(req, res, appName) {
-  const safeAppName = sanitizeAppName(appName);
-  const paths = getAppPaths(safeAppName);
-  
-  try {
-    const previousTarget = await fs.readlink(paths.previous);
-    const currentTarget = await fs.readlink(paths.current);
-    
-    await fs.unlink(paths.current);
-    await fs.symlink(previousTarget, paths.current);
-    
-    await fs.unlink(paths.previous);
-    await fs.symlink(currentTarget, paths.previous);
-    
-    execSync(`pm2 restart nlever-${safeAppName} --update-env`, { timeout: 30000 });
-    
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true, message: 'Rollback successful' }));
-  } catch (error) {
-    sendError(res, 404, 'No previous version to rollback to');
+  const since = sinceParam ? parseSince(sinceParam) : null;
+  if (sinceParam && !since) {
+    sendError(res, 400, 'Invalid since value, use e.g. 30s, 10m, 2h, 1d or a date');
+    return;
   }
-}
 
-async function getStatus(req, res, appName) {
-  try {
-    const safeAppName = sanitizeAppName(appName);
-    const info = getPM2ProcessInfo(`nlever-${safeAppName}`);
-    
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      name: sanitizeForLog(appName),
-      pm2: {
-        status: info.pm2_env.status,
-        cpu: info.monit.cpu,
-        memory: info.monit.memory,
-        uptime: info.pm2_env.pm_uptime,
-        restarts: info.pm2_env.restart_time
-      }
-    }));
-  } catch {
+  let grep = null;
+  if (grepParam) {
+    try {
+      grep = buildLogFilter(grepParam);
+    } catch (error) {
+      sendError(res, 400, error.message);
+      return;
+    }
+  }
+
+  const logPaths = await getPM2LogPaths(getPM2Name(safeAppName));
+  if (!logPaths) {
     sendError(res, 404, 'App not found');
+    return;
   }
-}
 
-async function getLogs(req, res, appName) {
-  try {
-    const safeAppName = sanitizeAppName(appName);
-    const url = new URL(`http://localhost${req.url}`);
-    const lines = url.searchParams.get('lines') || '100';
-    const safeLines = /^\d+$/.test(lines) ? lines : '100';
-    
-    const logs = execSync(`pm2 logs nlever-${safeAppName} --nostream --lines ${safeLines}`, { 
-      encoding: 'utf8',
-      timeout: 5000
-    });
-    
+  const selected = streamParam ? [streams[streamParam]] : ['out', 'err'];
+  const count = Number(safeLines);
+
+  let backlog = [];
+  for (const stream of selected) {
+    const entries = await readLogTail(logPaths[stream], { count, since, grep });
+    backlog.push(...entries.map(entry => ({ ...entry, stream })));
+  }
+  // Interleave stdout and stderr by time where the lines carry one
+  if (selected.length > 1) {
+    backlog.sort((a, b) => (a.time && b.time ? a.time - b.time : 0));
+  }
+  backlog = backlog.slice(-count);
+
+  if (!follow) {
     res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end(logs);
-  } catch {
-    sendError(res, 404, 'App not found');
+    res.end(backlog.map(entry => entry.line + '\n').join(''));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+  for (const entry of backlog) {
+    res.write(JSON.stringify({ stream: entry.stream, line: entry.line }) + '\n');
   }
+
+  const stops = selected.map(stream => followLogFile(logPaths[stream], newLines => {
+    for (const line of newLines) {
+      if (!grep || grep(line)) {
+        res.write(JSON.stringify({ stream, line }) + '\n');
+      }
+    }
+  }));
+
+  res.on('close', () => stops.forEach(stop => stop()));
 }
 
 async function getLogsDownload(req, res, appName) {
   try {
     const safeAppName = sanitizeAppName(appName);
     
-    const logs = execSync(`pm2 logs nlever-${safeAppName} --nostream --raw`, { 
+    const logs = execSync(`pm2 logs ${getPM2Name(safeAppName)} --nostream --raw`, { 
       encoding: 'utf8',
       timeout: 10000
     });
@@ -543,7 +2955,7 @@ async function getLogsDownload(req, res, appName) {
 async function stopApp(req, res, appName) {
   try {
     const safeAppName = sanitizeAppName(appName);
-    execSync(`pm2 stop nlever-${safeAppName}`, { timeout: 30000 });
+    execSync(`pm2 stop ${getPM2Name(safeAppName)}`, { timeout: 30000 });
     // Saved so a stopped app stays stopped across a reboot. Without this it is
     // resurrected running, which is the opposite of what was asked for.
     persistProcessList();
@@ -558,10 +2970,13 @@ async function stopApp(req, res, appName) {
 async function restartApp(req, res, appName) {
   try {
     const safeAppName = sanitizeAppName(appName);
-    execSync(`pm2 restart nlever-${safeAppName}`, { timeout: 30000 });
+    const url = new URL(`http://localhost${req.url}`);
+    const graceful = ['1', 'true', 'yes'].includes(url.searchParams.get('graceful'));
+    const pm2Config = await readPM2Config(getPM2ConfigFile(safeAppName, apps[safeAppName]?.color));
+    await restartProcess(getPM2Name(safeAppName), pm2Config || {}, graceful);
     
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: true, message: 'App restarted successfully' }));
+    res.end(JSON.stringify({ success: true, graceful, message: 'App restarted successfully' }));
   } catch {
     sendError(res, 404, 'App not found or failed to restart');
   }
@@ -570,20 +2985,31 @@ async function restartApp(req, res, appName) {
 async function destroyApp(req, res, appName) {
   try {
     const safeAppName = sanitizeAppName(appName);
-    try {
-      execSync(`pm2 delete nlever-${safeAppName}`, { timeout: 30000 });
-      // Otherwise a destroyed app is resurrected at the next reboot, pointing at a
-      // release directory this function is about to remove.
-      persistProcessList();
-    } catch {}
+    clearTimeout(retireTimers.get(safeAppName));
+    const pm2Names = [getPM2Name(safeAppName), apps[safeAppName]?.standby?.pm2Name].filter(Boolean);
+    for (const pm2Name of pm2Names) {
+      try {
+        execSync(`pm2 delete ${pm2Name}`, { timeout: 30000 });
+      } catch {}
+    }
+    // Otherwise a destroyed app is resurrected at the next reboot, pointing at a
+    // release directory this function is about to remove.
+    persistProcessList();
 
     const paths = getAppPaths(safeAppName);
+    closeAccessLog(safeAppName);
     try {
       await fs.rm(paths.base, { recursive: true, force: true });
+      await fs.rm(getAppEnvFile(safeAppName), { force: true });
     } catch {}
     
     delete apps[safeAppName];
     await saveRegistry();
+    metrics.delete(safeAppName);
+    if (health[safeAppName]) {
+      delete health[safeAppName];
+      await saveHealth();
+    }
     
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ success: true, message: 'App destroyed successfully' }));
@@ -592,27 +3018,47 @@ async function destroyApp(req, res, appName) {
   }
 }
 
-async function proxyRequest(req, res, appName, proxyPath) {
+// `prefix` is the path the app is served under, empty when routed by hostname
+function getForwardedHeaders(req, port, prefix) {
+  const headers = {
+    ...req.headers,
+    host: `localhost:${port}`,
+    'x-forwarded-host': req.headers.host,
+    'x-forwarded-prefix': prefix,
+    'x-forwarded-for': req.connection.remoteAddress || req.socket.remoteAddress,
+    'x-real-ip': req.connection.remoteAddress || req.socket.remoteAddress,
+    'x-forwarded-proto': req.socket.encrypted ? 'https' : 'http'
+  };
+  if (!prefix) delete headers['x-forwarded-prefix'];
+  if (!req.headers.host) delete headers['x-forwarded-host'];
+  return headers;
+}
+
+async function proxyRequest(req, res, appName, proxyPath, prefix = `/${appName}`) {
   const app = apps[appName];
   if (!app || !app.port) {
     sendError(res, 404, 'App not found or not in proxy mode');
     return;
   }
 
+  // Counted per port, so a replaced process can be drained before it is deleted
+  const port = app.port;
+  inFlight.set(port, (inFlight.get(port) || 0) + 1);
+  res.on('close', () => inFlight.set(port, inFlight.get(port) - 1));
+
+  const started = Date.now();
+  let bytes = 0;
+  res.on('close', () => {
+    recordAccess(appName, req, { started, status: res.headersSent ? res.statusCode : 499, bytes });
+  });
+
   try {
     const proxyReq = request({
       hostname: 'localhost',
-      port: app.port,
+      port,
       path: proxyPath,
       method: req.method,
-      headers: {
-        ...req.headers,
-        host: `localhost:${app.port}`,
-        'x-forwarded-prefix': `/${appName}`,
-        'x-forwarded-for': req.connection.remoteAddress || req.socket.remoteAddress,
-        'x-real-ip': req.connection.remoteAddress || req.socket.remoteAddress,
-        'x-forwarded-proto': 'http'
-      }
+      headers: getForwardedHeaders(req, port, prefix)
     });
 
     proxyReq.on('error', (err) => {
@@ -624,6 +3070,7 @@ async function proxyRequest(req, res, appName, proxyPath) {
 
     proxyReq.on('response', (proxyRes) => {
       res.writeHead(proxyRes.statusCode, proxyRes.headers);
+      proxyRes.on('data', chunk => bytes += chunk.length);
       proxyRes.pipe(res);
     });
 
@@ -635,6 +3082,7 @@ async function proxyRequest(req, res, appName, proxyPath) {
 
 async function handleApiRequest(req, res) {
   const clientIP = getClientIP(req);
+  auditRequest(req, res, clientIP);
   
   // Check IP whitelist first
   if (!checkIPWhitelist(clientIP, ADMIN_IPS)) {
@@ -648,22 +3096,54 @@ async function handleApiRequest(req, res) {
     return;
   }
   
-  if (!checkAuth(req)) {
+  const identity = await authenticate(req);
+  if (!identity) {
     sendError(res, 401, 'Unauthorized');
     return;
   }
+  req.identity = identity;
 
   const urlParts = req.url.split('?')[0].split('/').filter(Boolean);
   const [action, appName] = urlParts;
 
+  if (SERVER_ACTIONS.includes(action) && !appName) {
+    if (!authorize(identity, action, null)) {
+      sendError(res, 403, `Token "${identity.name}" is not allowed to ${action}`);
+      return;
+    }
+    try {
+      if (req.method === 'GET' && action === 'audit') {
+        await getAudit(req, res);
+      } else if (req.method === 'GET' && action === 'apps') {
+        await listApps(req, res);
+      } else {
+        sendError(res, 404, 'Not found');
+      }
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+    return;
+  }
+
   if (!appName || !action) {
     sendError(res, 400, 'Invalid request');
     return;
   }
 
+  if (!authorize(identity, action, appName)) {
+    sendError(res, 403, `Token "${identity.name}" is not allowed to ${sanitizeForLog(action)} ${sanitizeForLog(appName)}`);
+    return;
+  }
+
+  if (req.method === 'POST') {
+    console.log(`${sanitizeForLog(action)} ${sanitizeForLog(appName)} by ${identity.name} from ${clientIP}`);
+  }
+
   try {
     if (req.method === 'POST' && action === 'deploy') {
       await deploy(req, res, appName);
+    } else if (req.method === 'POST' && action === 'manifest') {
+      await checkManifest(req, res, appName);
     } else if (req.method === 'POST' && action === 'rollback') {
       await rollback(req, res, appName);
     } else if (req.method === 'POST' && action === 'stop') {
@@ -672,8 +3152,16 @@ async function handleApiRequest(req, res) {
       await restartApp(req, res, appName);
     } else if (req.method === 'POST' && action === 'destroy') {
       await destroyApp(req, res, appName);
+    } else if (req.method === 'GET' && action === 'env') {
+      await getEnv(req, res, appName);
+    } else if (req.method === 'POST' && action === 'env') {
+      await updateEnv(req, res, appName);
+    } else if (req.method === 'GET' && action === 'releases') {
+      await getReleases(req, res, appName);
     } else if (req.method === 'GET' && action === 'status') {
       await getStatus(req, res, appName);
+    } else if (req.method === 'GET' && action === 'metrics') {
+      await getMetrics(req, res, appName);
     } else if (req.method === 'GET' && action === 'logs') {
       await getLogs(req, res, appName);
     } else if (req.method === 'GET' && action === 'logs-download') {
@@ -686,6 +3174,127 @@ async function handleApiRequest(req, res) {
   }
 }
 
+/*
+Query the audit log: `?app=&since=&limit=`. Reads the rotated files too, oldest
+first, skipping any last written before `since`. A token limited to some apps only
+sees their entries.
+*/
+async function getAudit(req, res) {
+  const url = new URL(`http://localhost${req.url}`);
+  const app = url.searchParams.get('app');
+  const sinceParam = url.searchParams.get('since');
+  const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 100, 5000);
+
+  const since = sinceParam ? parseSince(sinceParam) : null;
+  if (sinceParam && !since) {
+    sendError(res, 400, 'Invalid since value, use e.g. 30s, 10m, 2h, 1d or a date');
+    return;
+  }
+
+  const file = getAuditFile();
+  const files = [];
+  for (let i = AUDIT_KEEP; i >= 1; i--) files.push(`${file}.${i}`);
+  files.push(file);
+
+  const appAllowed = name => req.identity.apps.includes('*') || (name && req.identity.apps.some(pattern => matchesGlob(name, pattern)));
+
+  let entries = [];
+  for (const path of files) {
+    try {
+      if (since && (await fs.stat(path)).mtimeMs < since) continue;
+      const lines = (await fs.readFile(path, 'utf8')).split('\n');
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          const entry = JSON.parse(line);
+          if (app && entry.app !== app) continue;
+          if (since && Date.parse(entry.time) < since) continue;
+          if (!appAllowed(entry.app)) continue;
+          entries.push(entry);
+        } catch {}
+      }
+    } catch {}
+    entries = entries.slice(-limit);
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ entries }));
+}
+
+/*
+Every app in the registry with what PM2 says about its live process, for `nlever
+list`: one `pm2 jlist` for the lot. Cluster-mode apps have a process per worker,
+whose CPU, memory and restarts are added up. A token limited to some apps only
+sees those.
+*/
+async function listApps(req, res) {
+  let processes = null;
+  try {
+    processes = await listPM2Processes();
+  } catch {}
+
+  const appAllowed = name => req.identity.apps.some(pattern => matchesGlob(name, pattern));
+  const list = Object.keys(apps).filter(appAllowed).sort().map(name => {
+    const entry = apps[name];
+    const workers = (processes || []).filter(p => p.name === (entry.pm2Name || `nlever-${name}`));
+    const statuses = [...new Set(workers.map(p => p.pm2_env.status))];
+
+    let status = 'stopped';
+    if (!processes) {
+      status = 'unknown';
+    } else if (statuses.length === 1) {
+      status = statuses[0];
+    } else if (statuses.length > 1) {
+      status = `${workers.filter(p => p.pm2_env.status === 'online').length}/${workers.length} online`;
+    }
+
+    return {
+      name,
+      status,
+      cpu: workers.reduce((total, p) => total + (p.monit?.cpu || 0), 0),
+      memory: workers.reduce((total, p) => total + (p.monit?.memory || 0), 0),
+      restarts: workers.reduce((total, p) => total + (p.pm2_env.restart_time || 0), 0),
+      uptime: workers.length ? Math.min(...workers.map(p => p.pm2_env.pm_uptime || Date.now())) : null,
+      instances: workers.length,
+      port: entry.port || null,
+      lastDeploy: entry.lastDeploy || null,
+      healthCheck: entry.healthCheck || null,
+      hostnames: entry.hostnames || [],
+      release: entry.release || null,
+      standby: entry.standby ? { release: entry.standby.release || null, retireAt: entry.standby.retireAt } : null
+    };
+  });
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ apps: list }));
+}
+
+/*
+Which app a proxied request is for: one that claims its Host header, which gets the
+whole URL as it is, else the app named by the first path segment, which gets the
+rest of it. The root goes to nlever_home if there is one. Null when no app matches.
+*/
+function routeProxyRequest(req) {
+  const hostApp = findAppByHostname(req.headers.host);
+  if (hostApp) {
+    return { appName: hostApp, proxyPath: req.url, prefix: '' };
+  }
+
+  const urlParts = req.url.split('?')[0].split('/').filter(Boolean);
+  if (urlParts.length === 0) {
+    return apps['nlever_home'] ? { appName: 'nlever_home', proxyPath: '/', prefix: '/nlever_home' } : null;
+  }
+
+  // Reserved for the JSON app listing
+  if (urlParts.length === 1 && urlParts[0] === 'app_toc') return null;
+
+  const [appName] = urlParts;
+  if (!apps[appName]) return null;
+
+  const proxyPath = '/' + urlParts.slice(1).join('/') + (req.url.includes('?') ? '?' + req.url.split('?')[1] : '');
+  return { appName, proxyPath, prefix: `/${appName}` };
+}
+
 async function handleProxyRequest(req, res) {
   const clientIP = getClientIP(req);
   
@@ -695,15 +3304,20 @@ async function handleProxyRequest(req, res) {
     return;
   }
 
+  const route = routeProxyRequest(req);
+  if (route) {
+    try {
+      await proxyRequest(req, res, route.appName, route.proxyPath, route.prefix);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+    return;
+  }
+
   const fullUrl = req.url.split('?')[0];
   const urlParts = fullUrl.split('/').filter(Boolean);
   
   if (urlParts.length === 0) {
-    if (apps['nlever_home']) {
-      await proxyRequest(req, res, 'nlever_home', '/');
-      return;
-    }
-    
     if (APP_LISTINGS) {
       // Root path - show app listing
       const appList = Object.keys(apps).map(name => 
@@ -729,20 +3343,102 @@ async function handleProxyRequest(req, res) {
     return;
   }
 
-  const [appName] = urlParts;
-  
-  if (!apps[appName]) {
-    sendError(res, 404, 'App not found');
+  sendError(res, 404, 'App not found');
+}
+
+/*
+WebSocket (and any other Upgrade) requests. They are routed and allowlisted like
+every other proxied request, then the client's socket and one to the app are piped
+into each other until either side goes away. An open connection counts as in
+flight, so a replaced process is drained of its WebSockets too - for up to
+NLEVER_DRAIN_TIMEOUT, like long requests.
+*/
+function handleProxyUpgrade(req, socket, head) {
+  const refuse = (status, message) => {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  };
+  socket.on('error', () => socket.destroy());
+
+  if (!checkIPWhitelist(getClientIP(req), PROXY_IPS)) {
+    refuse(403, 'Forbidden');
     return;
   }
 
-  const proxyPath = '/' + urlParts.slice(1).join('/') + (req.url.includes('?') ? '?' + req.url.split('?')[1] : '');
-  
-  try {
-    await proxyRequest(req, res, appName, proxyPath);
-  } catch (error) {
-    sendError(res, 500, error.message);
+  const route = routeProxyRequest(req);
+  const app = route && apps[route.appName];
+  if (!app || !app.port) {
+    refuse(404, 'Not Found');
+    return;
   }
+
+  const port = app.port;
+  inFlight.set(port, (inFlight.get(port) || 0) + 1);
+  socket.once('close', () => inFlight.set(port, inFlight.get(port) - 1));
+
+  const started = Date.now();
+  let status = 499;
+  let bytes = 0;
+  socket.once('close', () => {
+    recordAccess(route.appName, req, { started, status, bytes, upgrade: status === 101 });
+  });
+
+  const proxyReq = request({
+    hostname: 'localhost',
+    port,
+    path: route.proxyPath,
+    method: req.method,
+    headers: getForwardedHeaders(req, port, route.prefix)
+  });
+  // Closed before the app answered
+  socket.once('close', () => proxyReq.destroy());
+
+  // The app's response head, passed on with its headers as the app wrote them, less
+  // any in `dropped`
+  const writeHead = (proxyRes, dropped = [], extra = []) => {
+    status = proxyRes.statusCode;
+    const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`];
+    for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+      if (dropped.includes(proxyRes.rawHeaders[i].toLowerCase())) continue;
+      lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+    }
+    socket.write([...lines, ...extra].join('\r\n') + '\r\n\r\n');
+  };
+
+  proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+    const teardown = () => {
+      socket.destroy();
+      proxySocket.destroy();
+    };
+    proxySocket.on('error', teardown);
+    proxySocket.on('close', teardown);
+    socket.on('close', teardown);
+
+    writeHead(proxyRes);
+    if (proxyHead.length) socket.write(proxyHead);
+    if (head.length) proxySocket.write(head);
+    proxySocket.on('data', chunk => bytes += chunk.length);
+    proxySocket.pipe(socket);
+    socket.pipe(proxySocket);
+  });
+
+  // The app turned the upgrade down and answered as plain HTTP. The body arrives
+  // de-chunked, so its framing headers no longer apply: it is sent as is and ended by
+  // closing the connection.
+  proxyReq.on('response', proxyRes => {
+    writeHead(proxyRes, ['transfer-encoding', 'content-length', 'connection', 'keep-alive'], ['Connection: close']);
+    proxyRes.on('data', chunk => bytes += chunk.length);
+    proxyRes.pipe(socket);
+  });
+
+  proxyReq.on('error', err => {
+    console.error('Proxy error for %s: %s', sanitizeForLog(route.appName), sanitizeForLog(err.message));
+    if (!socket.destroyed) {
+      status = 502;
+      refuse(502, 'Bad Gateway');
+    }
+  });
+
+  proxyReq.end();
 }
 
 // Every setting the server reads at startup. pm2 launches a FRESH node process, so
@@ -761,7 +3457,25 @@ const SERVER_ENV = [
   'NLEVER_PROXY_PORT',
   'NLEVER_APP_LISTINGS',
   'NLEVER_ADMIN_IPS_ALLOW',
-  'NLEVER_PROXY_IPS_ALLOW'
+  'NLEVER_PROXY_IPS_ALLOW',
+  'NLEVER_KEEP_RELEASES',
+  'NLEVER_PORT_RANGE',
+  'NLEVER_AUDIT_MAX_SIZE',
+  'NLEVER_AUDIT_KEEP',
+  'NLEVER_ACCESS_LOG',
+  'NLEVER_ACCESS_LOG_MAX_SIZE',
+  'NLEVER_ACCESS_LOG_KEEP',
+  'NLEVER_WARM_STANDBY',
+  'NLEVER_DRAIN_TIMEOUT',
+  'NLEVER_MONITOR_INTERVAL',
+  'NLEVER_MONITOR_FAILURES',
+  'NLEVER_MONITOR_RESTART',
+  'NLEVER_ALERT_WEBHOOK',
+  'NLEVER_HOOK_TIMEOUT',
+  'NLEVER_TLS',
+  'NLEVER_TLS_CERT',
+  'NLEVER_TLS_KEY',
+  'NLEVER_TLS_DIR'
 ];
 
 async function install() {
@@ -831,7 +3545,7 @@ async function uninstall() {
 }
 
 // Check write permissions and fallback if needed
-async function init() {
+async function resolveBaseDir() {
   // Only try fallback if no custom NLEVER_BASE_DIR was provided
   if (!process.env.NLEVER_BASE_DIR) {
     try {
@@ -848,37 +3562,279 @@ async function init() {
     // Custom directory provided, just ensure it exists
     await fs.mkdir(BASE_DIR, { recursive: true });
   }
-  
+}
+
+/*
+TLS for the API and proxy listeners. Certificates are read from disk and cached by
+path, and re-read once their files change, so a renewed certificate (certbot, an
+internal CA's cron job) is picked up without restarting the server. Renewal writes
+the cert and key one at a time: a reload that finds a pair that doesn't match keeps
+serving the old one, and the write of the second file triggers another reload.
+*/
+const TLS_RECHECK = 10000;
+const tlsContexts = new Map(); // cert file -> {context, mtimes, checked}
+
+function usesTLS(listener) {
+  return Boolean((TLS_CERT && TLS_KEY) || TLS_DIR) && [listener, 'both'].includes(TLS_LISTENERS);
+}
+
+function fileMtime(file) {
+  try {
+    return statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+function getSecureContext(certFile, keyFile) {
+  const cached = tlsContexts.get(certFile);
+  if (cached && Date.now() - cached.checked < TLS_RECHECK) return cached.context;
+
+  const mtimes = [certFile, keyFile].map(fileMtime).join();
+  if (cached && cached.mtimes === mtimes) {
+    cached.checked = Date.now();
+    return cached.context;
+  }
+
+  try {
+    const context = createSecureContext({ cert: readFileSync(certFile), key: readFileSync(keyFile) });
+    tlsContexts.set(certFile, { context, mtimes, checked: Date.now() });
+    if (cached) console.log(`Reloaded TLS certificate ${certFile}`);
+    return context;
+  } catch (error) {
+    if (!cached) throw error;
+    console.error(`Could not reload TLS certificate ${certFile}, still serving the old one: ${error.message}`);
+    cached.checked = Date.now();
+    return cached.context;
+  }
+}
+
+// The certificate for a hostname from NLEVER_TLS_DIR: <hostname>.crt/.key, else a
+// wildcard one saved as _.<parent domain>.crt/.key
+function findCertificate(servername) {
+  if (!TLS_DIR || !servername || !/^[a-z0-9.-]+$/i.test(servername)) return null;
+
+  const name = servername.toLowerCase();
+  const candidates = [name];
+  if (name.includes('.')) candidates.push(`_${name.slice(name.indexOf('.'))}`);
+
+  for (const candidate of candidates) {
+    const cert = join(TLS_DIR, `${candidate}.crt`);
+    const key = join(TLS_DIR, `${candidate}.key`);
+    if (fileMtime(cert) !== null && fileMtime(key) !== null) return { cert, key };
+  }
+  return null;
+}
+
+function describeCertificate(file) {
+  const cert = new X509Certificate(readFileSync(file));
+  return `${file} (${cert.subject.replace(/\n/g, ', ')}, expires ${cert.validTo}, SHA-256 ${cert.fingerprint256})`;
+}
+
+// A plain HTTP server, or an HTTPS one when TLS is configured for this listener.
+// Clients that send SNI get the NLEVER_TLS_DIR certificate for their hostname if
+// there is one; everything else gets the default NLEVER_TLS_CERT.
+function createListener(listener, handler) {
+  if (!usesTLS(listener)) return createServer(handler);
+
+  const hasDefault = Boolean(TLS_CERT && TLS_KEY);
+  const readDefault = () => ({ cert: readFileSync(TLS_CERT), key: readFileSync(TLS_KEY) });
+
+  const server = createHttpsServer({
+    ...(hasDefault ? readDefault() : {}),
+    SNICallback: (servername, callback) => {
+      try {
+        const files = findCertificate(servername);
+        callback(null, files ? getSecureContext(files.cert, files.key) : undefined);
+      } catch (error) {
+        console.error(`TLS certificate for ${servername} failed to load: ${error.message}`);
+        callback(error);
+      }
+    }
+  }, handler);
+
+  if (hasDefault) {
+    const reload = () => {
+      try {
+        server.setSecureContext(readDefault());
+        console.log(`Reloaded TLS certificate ${TLS_CERT}`);
+      } catch (error) {
+        console.error(`Could not reload TLS certificate ${TLS_CERT}, still serving the old one: ${error.message}`);
+      }
+    };
+    watchFile(TLS_CERT, { interval: TLS_RECHECK }, reload);
+    watchFile(TLS_KEY, { interval: TLS_RECHECK }, reload);
+  }
+  return server;
+}
+
+function describeTLS(listener) {
+  return usesTLS(listener) ? 'HTTPS' : 'HTTP';
+}
+
+async function init() {
+  await resolveBaseDir();
+
+  // Before anything else starts, so a certificate that can't be read stops the server
+  const apiServer = createListener('api', handleApiRequest);
+  const proxyServer = PROXY_MODE && PROXY_PORT ? createListener('proxy', handleProxyRequest) : null;
+
   await loadRegistry();
+  await loadHealth();
+  // Standby processes outlive a server restart, their retirement timers don't
+  Object.keys(apps).forEach(scheduleRetire);
+  startMonitor();
   
   // API server (always runs)
-  const apiServer = createServer(handleApiRequest);
   apiServer.listen(PORT, () => {
-    console.log(`nlever API server listening on port ${PORT}`);
+    console.log(`nlever API server listening on port ${PORT} (${describeTLS('api')})`);
     console.log(`Base directory: ${process.env.NLEVER_BASE_DIR || BASE_DIR}`);
-    console.log(`Auth: ${AUTH_TOKEN ? 'Enabled' : 'Disabled'}`);
+    console.log(`Auth: ${AUTH_TOKEN ? 'Enabled' : 'Disabled'} (plus any tokens in ${getTokensFile()})`);
     console.log(`Proxy mode: ${PROXY_MODE ? 'Enabled' : 'Disabled'}`);
     
     if (PROXY_MODE && PROXY_PORT) {
       console.log(`Proxy server will listen on port ${PROXY_PORT}`);
     }
+    if (TLS_CERT && TLS_KEY && (usesTLS('api') || usesTLS('proxy'))) {
+      console.log(`TLS certificate: ${describeCertificate(TLS_CERT)}`);
+    }
+    if (TLS_DIR && (usesTLS('api') || usesTLS('proxy'))) {
+      console.log(`TLS certificates by hostname: ${TLS_DIR}`);
+    }
   });
   
   // Proxy server (only when proxy mode is enabled)
-  if (PROXY_MODE && PROXY_PORT) {
-    const proxyServer = createServer(handleProxyRequest);
+  if (proxyServer) {
+    proxyServer.on('upgrade', handleProxyUpgrade);
     proxyServer.listen(PROXY_PORT, () => {
-      console.log(`nlever proxy server listening on port ${PROXY_PORT}`);
+      console.log(`nlever proxy server listening on port ${PROXY_PORT} (${describeTLS('proxy')})`);
     });
   }
 }
 
+function getArgValue(flag) {
+  const index = args.indexOf(flag);
+  const value = index === -1 ? undefined : args[index + 1];
+  return value && !value.startsWith('--') ? value : undefined;
+}
+
+/*
+The token commands run from a shell whose environment needn't match the installed
+server's, and a token saved under the wrong base directory silently never works. So
+NLEVER_BASE_DIR is read from the nlever-server PM2 process, and a different value in
+the shell is refused rather than guessed between. Without an installed server the
+shell's value is used, as before.
+*/
+async function resolveAdminBaseDir() {
+  let installed;
+  try {
+    const server = (await listPM2Processes()).find(proc => proc.name === 'nlever-server');
+    installed = server && (server.pm2_env?.env?.NLEVER_BASE_DIR || server.pm2_env?.NLEVER_BASE_DIR);
+  } catch {}
+  
+  if (installed) {
+    if (process.env.NLEVER_BASE_DIR && resolve(process.env.NLEVER_BASE_DIR) !== resolve(installed)) {
+      throw new Error(`NLEVER_BASE_DIR is ${process.env.NLEVER_BASE_DIR}, but the installed nlever-server uses ${installed}. Unset it or make them match`);
+    }
+    process.env.NLEVER_BASE_DIR = BASE_DIR = installed;
+    REGISTRY_FILE = join(BASE_DIR, '.nlever-apps.json');
+  }
+  await resolveBaseDir();
+}
+
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString() : 'never';
+}
+
+async function createToken() {
+  await resolveAdminBaseDir();
+  const name = getArgValue('--token-create');
+  if (!name || !/^[a-zA-Z0-9_.@-]+$/.test(name)) {
+    throw new Error('Usage: nlever-server --token-create <name> [--apps app1,app2,prefix-*] [--actions deploy,status] [--expires 30d]');
+  }
+
+  const apps = (getArgValue('--apps') || '*').split(',').map(s => s.trim()).filter(Boolean);
+  const actions = (getArgValue('--actions') || '*').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = actions.filter(action => action !== '*' && !TOKEN_ACTIONS.includes(action));
+  if (unknown.length) {
+    throw new Error(`Unknown actions: ${unknown.join(', ')}. Valid actions: ${TOKEN_ACTIONS.join(', ')}`);
+  }
+
+  let expires = null;
+  const expiresArg = getArgValue('--expires');
+  if (expiresArg) {
+    const duration = parseDuration(expiresArg);
+    expires = duration !== null ? Date.now() + duration : Date.parse(expiresArg);
+    if (!expires || expires <= Date.now()) {
+      throw new Error(`Invalid --expires value: ${expiresArg} (use e.g. 12h, 30d or a future date)`);
+    }
+  }
+
+  const tokens = (await loadTokens()) || [];
+  if (tokens.some(t => t.name === name)) {
+    throw new Error(`A token named ${name} already exists; revoke it first`);
+  }
+
+  const token = randomBytes(24).toString('hex');
+  tokens.push({ name, hash: hashToken(token), apps, actions, created: Date.now(), expires });
+  await saveTokens(tokens);
+
+  console.log(`✓ Token "${name}" created`);
+  console.log(`  Apps: ${apps.join(', ')}`);
+  console.log(`  Actions: ${actions.join(', ')}`);
+  console.log(`  Expires: ${formatTime(expires)}`);
+  console.log('');
+  console.log(`  ${token}`);
+  console.log('');
+  console.log('  Set it as NLEVER_AUTH in the client .env. It is not stored and cannot be shown again.');
+}
+
+async function listTokens() {
+  await resolveAdminBaseDir();
+  const tokens = (await loadTokens()) || [];
+  if (tokens.length === 0) {
+    console.log('No tokens. Create one with --token-create <name>');
+    return;
+  }
+  for (const token of tokens) {
+    const expired = token.expires && token.expires < Date.now() ? ' (expired)' : '';
+    console.log(`${token.name}${expired}`);
+    console.log(`  apps: ${token.apps.join(', ')}  actions: ${token.actions.join(', ')}`);
+    console.log(`  created: ${formatTime(token.created)}  expires: ${formatTime(token.expires)}`);
+  }
+}
+
+async function revokeToken() {
+  await resolveAdminBaseDir();
+  const name = getArgValue('--token-revoke');
+  const tokens = (await loadTokens()) || [];
+  const remaining = tokens.filter(t => t.name !== name);
+  if (!name || remaining.length === tokens.length) {
+    throw new Error(`No token named ${name || '(none given)'}`);
+  }
+  await saveTokens(remaining);
+  console.log(`✓ Token "${name}" revoked`);
+}
+
+function runAdminCommand(command) {
+  command().catch(error => {
+    console.error('✗', error.message);
+    process.exitCode = 1;
+  });
+}
+
 // Handle command line arguments
 const args = process.argv.slice(2);
 if (args.includes('--install')) {
   install();
 } else if (args.includes('--uninstall')) {
   uninstall();
+} else if (args.includes('--token-create')) {
+  runAdminCommand(createToken);
+} else if (args.includes('--token-list')) {
+  runAdminCommand(listTokens);
+} else if (args.includes('--token-revoke')) {
+  runAdminCommand(revokeToken);
 } else {
   init().catch(console.error);
 }